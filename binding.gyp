@@ -12,6 +12,12 @@
         "bindings/node/binding.cc",
         "src/parser.c",
         "src/scanner.c",
+        "python3/src/parser.c",
+        "python3/src/scanner.c",
+        "type_comment/src/parser.c",
+        "type_comment/src/scanner.c",
+        "ipython/src/parser.c",
+        "ipython/src/scanner.c",
       ],
       "conditions": [
         ["OS!='win'", {
@@ -3,6 +3,9 @@
 typedef struct TSLanguage TSLanguage;
 
 extern "C" TSLanguage *tree_sitter_python();
+extern "C" TSLanguage *tree_sitter_python3();
+extern "C" TSLanguage *tree_sitter_python_type_comment();
+extern "C" TSLanguage *tree_sitter_ipython();
 
 // "tree-sitter", "language" hashed with BLAKE2
 const napi_type_tag LANGUAGE_TYPE_TAG = {
@@ -14,6 +17,28 @@ Napi::Object Init(Napi::Env env, Napi::Object exports) {
     auto language = Napi::External<TSLanguage>::New(env, tree_sitter_python());
     language.TypeTag(&LANGUAGE_TYPE_TAG);
     exports["language"] = language;
+
+    auto python3 = Napi::Object::New(env);
+    python3["name"] = Napi::String::New(env, "python3");
+    auto python3_language = Napi::External<TSLanguage>::New(env, tree_sitter_python3());
+    python3_language.TypeTag(&LANGUAGE_TYPE_TAG);
+    python3["language"] = python3_language;
+    exports["python3"] = python3;
+
+    auto type_comment = Napi::Object::New(env);
+    type_comment["name"] = Napi::String::New(env, "python_type_comment");
+    auto type_comment_language = Napi::External<TSLanguage>::New(env, tree_sitter_python_type_comment());
+    type_comment_language.TypeTag(&LANGUAGE_TYPE_TAG);
+    type_comment["language"] = type_comment_language;
+    exports["typeComment"] = type_comment;
+
+    auto ipython = Napi::Object::New(env);
+    ipython["name"] = Napi::String::New(env, "ipython");
+    auto ipython_language = Napi::External<TSLanguage>::New(env, tree_sitter_ipython());
+    ipython_language.TypeTag(&LANGUAGE_TYPE_TAG);
+    ipython["language"] = ipython_language;
+    exports["ipython"] = ipython;
+
     return exports;
 }
 
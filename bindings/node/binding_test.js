@@ -1,4 +1,6 @@
 const assert = require("node:assert");
+const { readFileSync } = require("node:fs");
+const { join } = require("node:path");
 const { test } = require("node:test");
 
 const Parser = require("tree-sitter");
@@ -7,3 +9,41 @@ test("can load grammar", () => {
   const parser = new Parser();
   assert.doesNotThrow(() => parser.setLanguage(require(".")));
 });
+
+test("can load python3 grammar", () => {
+  const parser = new Parser();
+  assert.doesNotThrow(() => parser.setLanguage(require(".").python3));
+});
+
+test("can load type comment grammar", () => {
+  const parser = new Parser();
+  assert.doesNotThrow(() => parser.setLanguage(require(".").typeComment));
+});
+
+test("can load ipython grammar", () => {
+  const parser = new Parser();
+  assert.doesNotThrow(() => parser.setLanguage(require(".").ipython));
+});
+
+test("node declarations are up to date", () => {
+  const { generate } = require("./generate_types");
+  const expected = generate(require("../../src/node-types.json"));
+  assert.strictEqual(readFileSync(join(__dirname, "nodes.d.ts"), "utf8"), expected,
+    "run `npm run generate-types` to update bindings/node/nodes.d.ts");
+});
+
+test("string prefixes are fields of the strings", () => {
+  const parser = new Parser();
+  parser.setLanguage(require("."));
+  const tree = parser.parse('rb"a"\nF"x"\nRt"y"\n"z"\n');
+  const [bytes, format, template, plain] = tree.rootNode.namedChildren.map((statement) => statement.firstNamedChild);
+
+  // Each letter is a prefix of its own, whose type is the lowercase letter
+  // whatever the case of the text.
+  const prefixes = (string) => string.childrenForFieldName("prefix").map(({ type, text }) => [type, text]);
+  assert.deepStrictEqual(prefixes(bytes), [["r", "r"], ["b", "b"]]);
+  assert.deepStrictEqual(prefixes(format), [["f", "F"]]);
+  assert.strictEqual(template.type, "template_string");
+  assert.deepStrictEqual(prefixes(template), [["r", "R"], ["t", "t"]]);
+  assert.deepStrictEqual(prefixes(plain), []);
+});
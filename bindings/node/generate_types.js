@@ -0,0 +1,117 @@
+/**
+ * @file Generates the TypeScript declarations of the syntax nodes in nodes.d.ts
+ * from src/node-types.json. Run it with `npm run generate-types`.
+ */
+
+const { writeFileSync } = require("node:fs");
+const { join } = require("node:path");
+
+const HEADER = `// Generated by bindings/node/generate_types.js from src/node-types.json.
+// Do not edit this file directly.
+
+import type { SyntaxNode } from "tree-sitter";
+
+/** A node for an anonymous token, such as an operator or a keyword. */
+export interface UnnamedNode<T extends string = string> extends SyntaxNode {
+  type: T;
+  isNamed: false;
+}
+`;
+
+/**
+ * Converts a node or field name to camel case, the way the `tree-sitter`
+ * package names its node classes and field getters.
+ *
+ * @param {string} name
+ *
+ * @param {boolean} upperCase
+ *
+ * @returns {string}
+ */
+function camelCase(name, upperCase) {
+  name = name.replace(/_(\w)/g, (_match, letter) => letter.toUpperCase());
+  if (upperCase) name = name[0].toUpperCase() + name.slice(1);
+  return name;
+}
+
+/**
+ * Returns the name of the interface or union declared for a node type.
+ *
+ * @param {{type: string, named: boolean}} type
+ *
+ * @returns {string}
+ */
+function typeName({ type, named }) {
+  return named ? camelCase(type, true) + "Node" : `UnnamedNode<${JSON.stringify(type)}>`;
+}
+
+/**
+ * Returns the union of the node types that a field or a supertype can hold.
+ *
+ * @param {{type: string, named: boolean}[]} types
+ *
+ * @returns {string}
+ */
+function unionOf(types) {
+  return [...new Set(types.map(typeName))].sort().join(" | ");
+}
+
+/**
+ * Generates the declarations for the entries of a node-types.json file.
+ *
+ * @param {any[]} nodeTypes
+ *
+ * @returns {string}
+ */
+function generate(nodeTypes) {
+  const named = nodeTypes.filter((info) => info.named);
+
+  // Aliased nodes, like `as_pattern_target`, can be referenced by fields
+  // without having an entry of their own.
+  const declared = new Set(named.map((info) => info.type));
+  for (const info of nodeTypes) {
+    for (const { types } of [...Object.values(info.fields ?? {}), info.children ?? { types: [] }]) {
+      for (const type of types) {
+        if (type.named && !declared.has(type.type)) {
+          declared.add(type.type);
+          named.push({ type: type.type, named: true });
+        }
+      }
+    }
+  }
+
+  let output = HEADER;
+
+  for (const info of named) {
+    const name = typeName(info);
+    output += "\n";
+    if (info.subtypes) {
+      output += `export type ${name} = ${unionOf(info.subtypes)};\n`;
+      continue;
+    }
+
+    output += `export interface ${name} extends SyntaxNode {\n`;
+    output += `  type: ${JSON.stringify(info.type)};\n`;
+    for (const [field, { multiple, required, types }] of Object.entries(info.fields ?? {}).sort()) {
+      if (multiple) {
+        output += `  ${camelCase(field, false)}Nodes: Array<${unionOf(types)}>;\n`;
+      } else {
+        output += `  ${camelCase(field, false)}Node: ${unionOf(types)}${required ? "" : " | null"};\n`;
+      }
+    }
+    output += "}\n";
+  }
+
+  const concrete = named.filter((info) => !info.subtypes).map(typeName);
+  output += `\n/** Any named node of the grammar. */\nexport type NamedNode =\n  | ${concrete.join("\n  | ")};\n`;
+
+  return output;
+}
+
+module.exports = { generate };
+
+if (require.main === module) {
+  const root = join(__dirname, "..", "..");
+  const nodeTypes = require(join(root, "src", "node-types.json"));
+  writeFileSync(join(__dirname, "nodes.d.ts"), generate(nodeTypes));
+}
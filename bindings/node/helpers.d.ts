@@ -0,0 +1,46 @@
+import type { SyntaxNode, Tree } from "tree-sitter";
+
+export interface Import {
+  /** The import statement. */
+  node: SyntaxNode;
+  /** The imported module, or null for `from . import name`. */
+  module: string | null;
+  /** The name that `import module as alias` binds the module to. */
+  alias: string | null;
+  /** The number of leading dots of a relative import. */
+  level: number;
+  /** The names imported from the module by a `from` import, or `*`. */
+  names: { name: string; alias: string | null }[];
+}
+
+export interface Definition {
+  /** The function or class definition, without its decorators. */
+  node: SyntaxNode;
+  kind: "function" | "class";
+  name: string;
+  /** The text of the decorator expressions, such as `app.route("/")`. */
+  decorators: string[];
+  docstring: string | null;
+}
+
+export interface ClassInfo {
+  node: SyntaxNode;
+  /** The name of the class, qualified like `Outer.Inner`. */
+  name: string;
+  /** The text of the base classes, without the keyword arguments. */
+  superclasses: string[];
+  /** The qualified names of the subclasses defined in the same tree. */
+  subclasses: string[];
+}
+
+/** Lists the imports of a tree, including the ones nested in functions. */
+export function imports(tree: Tree): Import[];
+
+/**
+ * Lists the functions and classes defined at the top level of a tree. Throws
+ * if the language of the tree has no tags query.
+ */
+export function definitions(tree: Tree): Definition[];
+
+/** Lists the classes of a tree with their superclasses and subclasses. */
+export function classHierarchy(tree: Tree): ClassInfo[];
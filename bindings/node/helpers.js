@@ -0,0 +1,219 @@
+/**
+ * @file Helpers that read the structure of a module from a tree parsed by the
+ * `tree-sitter` package: its imports, its definitions and its classes.
+ */
+
+/**
+ * Returns the text of a string node without its prefix and quotes.
+ *
+ * @param {import("tree-sitter").SyntaxNode} node
+ *
+ * @returns {string}
+ */
+function stringContent(node) {
+  return node.namedChildren
+    .filter((child) => child.type === "string_content")
+    .map((child) => child.text)
+    .join("");
+}
+
+/**
+ * Returns the docstring of a module, class or function body, if its first
+ * statement is a string.
+ *
+ * @param {import("tree-sitter").SyntaxNode | null} body
+ *
+ * @returns {string | null}
+ */
+function docstring(body) {
+  const statement = body?.namedChildren.find((child) => child.type !== "comment");
+  const string = statement?.type === "expression_statement" ? statement.namedChild(0) : null;
+  return string?.type === "string" ? stringContent(string) : null;
+}
+
+/**
+ * @typedef {object} Import
+ *
+ * @property {import("tree-sitter").SyntaxNode} node
+ *   The import statement.
+ *
+ * @property {string | null} module
+ *   The imported module, or null for `from . import name`.
+ *
+ * @property {string | null} alias
+ *   The name that `import module as alias` binds the module to.
+ *
+ * @property {number} level
+ *   The number of leading dots of a relative import.
+ *
+ * @property {{name: string, alias: string | null}[]} names
+ *   The names imported from the module by a `from` import, or `*`.
+ */
+
+/**
+ * Lists the imports of a tree, including the ones nested in functions. An
+ * `import` statement gives one import for each module that it names.
+ *
+ * @param {import("tree-sitter").Tree} tree
+ *
+ * @returns {Import[]}
+ */
+function imports(tree) {
+  const result = [];
+  const statements = tree.rootNode.descendantsOfType([
+    "import_statement",
+    "import_from_statement",
+    "future_import_statement",
+  ]);
+
+  for (const node of statements) {
+    const names = node.childrenForFieldName("name").map((name) => name.type === "aliased_import"
+      ? { name: name.childForFieldName("name").text, alias: name.childForFieldName("alias").text }
+      : { name: name.text, alias: null });
+
+    if (node.type === "import_statement") {
+      for (const { name, alias } of names) {
+        result.push({ node, module: name, alias, level: 0, names: [] });
+      }
+      continue;
+    }
+
+    let module = "__future__";
+    let level = 0;
+    if (node.type === "import_from_statement") {
+      const moduleName = node.childForFieldName("module_name");
+      if (moduleName.type === "relative_import") {
+        level = moduleName.child(0).text.length;
+        module = moduleName.namedChildren.find((child) => child.type === "dotted_name")?.text ?? null;
+      } else {
+        module = moduleName.text;
+      }
+      if (node.namedChildren.some((child) => child.type === "wildcard_import")) {
+        names.push({ name: "*", alias: null });
+      }
+    }
+    result.push({ node, module, alias: null, level, names });
+  }
+
+  return result;
+}
+
+/**
+ * @typedef {object} Definition
+ *
+ * @property {import("tree-sitter").SyntaxNode} node
+ *   The function or class definition, without its decorators.
+ *
+ * @property {"function" | "class"} kind
+ *
+ * @property {string} name
+ *
+ * @property {string[]} decorators
+ *   The text of the decorator expressions, such as `property` or
+ *   `app.route("/")`.
+ *
+ * @property {string | null} docstring
+ */
+
+/**
+ * Lists the functions and classes defined at the top level of a tree, as
+ * tagged by queries/tags.scm. The tree must be parsed with one of the
+ * languages of this package that has a tags query, so not the type comment
+ * one.
+ *
+ * @param {import("tree-sitter").Tree} tree
+ *
+ * @returns {Definition[]}
+ */
+function definitions(tree) {
+  const query = tree.language.queries?.tags;
+  if (!query) {
+    throw new Error(`The ${tree.language.name} grammar has no tags query to find definitions with`);
+  }
+
+  const result = [];
+  const seen = new Set();
+
+  for (const { captures } of query.matches(tree.rootNode)) {
+    const definition = captures.find(({ name }) => name === "definition.function" || name === "definition.class");
+    if (!definition || seen.has(definition.node.id)) continue;
+
+    const { node } = definition;
+    const parent = node.parent.type === "decorated_definition" ? node.parent : node;
+    if (parent.parent.type !== "module") continue;
+    seen.add(node.id);
+
+    const decorators = node === parent
+      ? []
+      : parent.namedChildren
+        .filter((child) => child.type === "decorator")
+        .map((decorator) => decorator.childForFieldName("expression").text);
+
+    result.push({
+      node,
+      kind: definition.name === "definition.class" ? "class" : "function",
+      name: captures.find(({ name }) => name === "name").node.text,
+      decorators,
+      docstring: docstring(node.childForFieldName("body")),
+    });
+  }
+
+  return result.sort((a, b) => a.node.startIndex - b.node.startIndex);
+}
+
+/**
+ * @typedef {object} ClassInfo
+ *
+ * @property {import("tree-sitter").SyntaxNode} node
+ *
+ * @property {string} name
+ *   The name of the class, qualified by the names of the classes and
+ *   functions that it is nested in, like `Outer.Inner`.
+ *
+ * @property {string[]} superclasses
+ *   The text of the base classes, such as `Base` or `abc.ABC`, without the
+ *   keyword arguments like `metaclass=`.
+ *
+ * @property {string[]} subclasses
+ *   The qualified names of the classes of the tree that list this class as a
+ *   superclass.
+ */
+
+/**
+ * Lists the classes of a tree with their superclasses, and the subclasses
+ * that are defined in the same tree.
+ *
+ * @param {import("tree-sitter").Tree} tree
+ *
+ * @returns {ClassInfo[]}
+ */
+function classHierarchy(tree) {
+  const classes = tree.rootNode.descendantsOfType("class_definition").map((node) => {
+    const scopes = [];
+    for (let scope = node.parent; scope; scope = scope.parent) {
+      if (scope.type === "class_definition" || scope.type === "function_definition") {
+        scopes.unshift(scope.childForFieldName("name").text);
+      }
+    }
+    scopes.push(node.childForFieldName("name").text);
+
+    const superclasses = (node.childForFieldName("superclasses")?.namedChildren ?? [])
+      .filter((argument) => argument.type !== "keyword_argument" &&
+        argument.type !== "dictionary_splat" &&
+        argument.type !== "comment")
+      .map((argument) => argument.text);
+
+    return { node, name: scopes.join("."), superclasses, subclasses: [] };
+  });
+
+  const byName = new Map(classes.map((info) => [info.name, info]));
+  for (const info of classes) {
+    for (const superclass of info.superclasses) {
+      byName.get(superclass)?.subclasses.push(info.name);
+    }
+  }
+
+  return classes;
+}
+
+module.exports = { imports, definitions, classHierarchy };
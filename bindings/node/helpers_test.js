@@ -0,0 +1,94 @@
+const assert = require("node:assert");
+const { test } = require("node:test");
+
+const Parser = require("tree-sitter");
+const Python = require(".");
+const { imports, definitions, classHierarchy } = require("./helpers");
+
+/**
+ * @param {string} source
+ *
+ * @returns {import("tree-sitter").Tree}
+ */
+function parse(source) {
+  const parser = new Parser();
+  parser.setLanguage(Python);
+  return parser.parse(source);
+}
+
+test("imports", () => {
+  const tree = parse(`
+import os, a.b as c
+from __future__ import annotations
+from .. import d
+from .e.f import g as h, i
+from j import *
+
+def k():
+    import l
+`);
+
+  assert.deepStrictEqual(imports(tree).map(({ node, ...info }) => info), [
+    { module: "os", alias: null, level: 0, names: [] },
+    { module: "a.b", alias: "c", level: 0, names: [] },
+    { module: "__future__", alias: null, level: 0, names: [{ name: "annotations", alias: null }] },
+    { module: null, alias: null, level: 2, names: [{ name: "d", alias: null }] },
+    { module: "e.f", alias: null, level: 1, names: [{ name: "g", alias: "h" }, { name: "i", alias: null }] },
+    { module: "j", alias: null, level: 0, names: [{ name: "*", alias: null }] },
+    { module: "l", alias: null, level: 0, names: [] },
+  ]);
+});
+
+test("definitions", () => {
+  const tree = parse(`
+def a():
+    """Does a."""
+
+@b
+@c.d(1)
+class E:
+    # The docstring comes after this comment.
+    '''An E.'''
+
+    def f(self):
+        pass
+
+if True:
+    def g():
+        pass
+`);
+
+  assert.deepStrictEqual(definitions(tree).map(({ node, ...info }) => info), [
+    { kind: "function", name: "a", decorators: [], docstring: "Does a." },
+    { kind: "class", name: "E", decorators: ["b", "c.d(1)"], docstring: "An E." },
+  ]);
+});
+
+test("definitions need a tags query", () => {
+  const parser = new Parser();
+  parser.setLanguage(Python.typeComment);
+  const tree = parser.parse("# type: int");
+
+  assert.throws(() => definitions(tree), /python_type_comment grammar has no tags query/);
+});
+
+test("class hierarchy", () => {
+  const tree = parse(`
+class A:
+    pass
+
+class B(A, metaclass=Meta):
+    class C(B):
+        pass
+
+class D(B, abc.ABC, **options):
+    pass
+`);
+
+  assert.deepStrictEqual(classHierarchy(tree).map(({ node, ...info }) => info), [
+    { name: "A", superclasses: [], subclasses: ["B"] },
+    { name: "B", superclasses: ["A"], subclasses: ["B.C", "D"] },
+    { name: "B.C", superclasses: ["B"], subclasses: [] },
+    { name: "D", superclasses: ["B", "abc.ABC"], subclasses: [] },
+  ]);
+});
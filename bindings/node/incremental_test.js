@@ -0,0 +1,146 @@
+const assert = require("node:assert");
+const { test } = require("node:test");
+
+const Parser = require("tree-sitter");
+const Python = require(".");
+
+/**
+ * Returns the row and column of an index of a text.
+ *
+ * @param {string} text
+ * @param {number} index
+ *
+ * @returns {import("tree-sitter").Point}
+ */
+function position(text, index) {
+  const lines = text.slice(0, index).split("\n");
+  return { row: lines.length - 1, column: lines[lines.length - 1].length };
+}
+
+/**
+ * Replaces some text of a parsed source, and checks that reparsing the edited
+ * tree gives the same tree as parsing the new source from scratch. The
+ * reparse only reuses the subtrees around the edit, so it depends on the
+ * scanner state that is serialized with them.
+ *
+ * @param {Parser} parser
+ * @param {import("tree-sitter").Tree} tree
+ * @param {string} source
+ * @param {string} search the text to replace, which must occur in the source
+ * @param {string} replacement
+ *
+ * @returns {{tree: import("tree-sitter").Tree, source: string}}
+ */
+function edit(parser, tree, source, search, replacement) {
+  const startIndex = source.lastIndexOf(search);
+  assert.notStrictEqual(startIndex, -1, `${JSON.stringify(search)} is not in the source`);
+  const oldEndIndex = startIndex + search.length;
+  const newSource = source.slice(0, startIndex) + replacement + source.slice(oldEndIndex);
+  const newEndIndex = startIndex + replacement.length;
+
+  tree.edit({
+    startIndex,
+    oldEndIndex,
+    newEndIndex,
+    startPosition: position(source, startIndex),
+    oldEndPosition: position(source, oldEndIndex),
+    newEndPosition: position(newSource, newEndIndex),
+  });
+  const newTree = parser.parse(newSource, tree);
+
+  const expected = parser.parse(newSource);
+  assert.strictEqual(newTree.rootNode.toString(), expected.rootNode.toString(),
+    `reparsing after replacing ${JSON.stringify(search)} differs from a fresh parse`);
+  return { tree: newTree, source: newSource };
+}
+
+/**
+ * Generates `if` statements nested `depth` levels deep, indented by each of
+ * the indents in turn, followed by statements at every level on the way out.
+ *
+ * @param {number} depth
+ * @param {string[]} indents
+ *
+ * @returns {string}
+ */
+function nestedBlocks(depth, indents) {
+  const prefixes = [""];
+  for (let level = 0; level < depth; level++) {
+    prefixes.push(prefixes[level] + indents[level % indents.length]);
+  }
+
+  const lines = [];
+  for (let level = 0; level < depth; level++) {
+    lines.push(`${prefixes[level]}if a${level}:`);
+  }
+  lines.push(`${prefixes[depth]}pass`);
+  for (let level = depth - 1; level >= 0; level--) {
+    lines.push(`${prefixes[level]}b${level} = ${level}`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Parses a source, then makes a series of edits to it, checking each one.
+ *
+ * @param {string} source
+ * @param {[string, string][]} edits
+ */
+function assertEdits(source, edits) {
+  const parser = new Parser();
+  parser.setLanguage(Python);
+  let tree = parser.parse(source);
+  assert.ok(!tree.rootNode.hasError);
+
+  for (const [search, replacement] of edits) {
+    ({ tree, source } = edit(parser, tree, source, search, replacement));
+  }
+}
+
+test("incremental parses of deeply indented code", () => {
+  const source = nestedBlocks(500, ["    "]);
+  assertEdits(source, [
+    ["pass", "c = 1\n" + " ".repeat(4 * 500) + "pass"],
+    ["b250 = 250", "b250 = (\n250)"],
+    ["if a400:", "if  a400 :"],
+    ["b499 = 499\n", ""],
+    ["b1 = 1", "while b1:\n" + " ".repeat(8) + "pass"],
+  ]);
+});
+
+test("incremental parses of code indented in different ways", () => {
+  const source = nestedBlocks(300, [" ", "\t", "  ", " \t"]);
+  assertEdits(source, [
+    ["pass", "pass; pass"],
+    ["if a200:", "if a200 or c:"],
+    ["b100 = 100", "b100 = [\n]"],
+  ]);
+});
+
+test("incremental parses of deeply nested strings", () => {
+  const depth = 300;
+  const source = `x = ${"f\"{".repeat(depth)}y${"}\"".repeat(depth)}\nz = 1\n`;
+  assertEdits(source, [
+    ["y", "y + 1"],
+    ["z = 1", "z = f'{z}'"],
+    ["{y", "{\"y\" "],
+  ]);
+});
+
+test("incremental parses of deeply nested code indented by different amounts", () => {
+  const source = nestedBlocks(520, [" ", " ".repeat(7), "  ", " ".repeat(8)]);
+  assertEdits(source, [
+    ["pass", "pass; pass"],
+    ["if a300:", "if a300 or c:"],
+    ["b10 = 10", "b10 = (\n10)"],
+  ]);
+});
+
+test("incremental parses of deeply nested strings with alternating quotes", () => {
+  const depth = 300;
+  const source = `x = ${"f\"{f'{".repeat(depth / 2)}y${"}'}\"".repeat(depth / 2)}\nz = 1\n`;
+  assertEdits(source, [
+    ["y", "y + 1"],
+    ["z = 1", "z = f'{z}'"],
+  ]);
+});
@@ -1,3 +1,5 @@
+import type { Query } from "tree-sitter";
+
 type BaseNode = {
   type: string;
   named: boolean;
@@ -22,7 +24,49 @@ type Language = {
   name: string;
   language: unknown;
   nodeTypeInfo: NodeInfo[];
+  /** The highlights query, from the files in queries/. */
+  HIGHLIGHTS_QUERY: string;
+  /** The queries of the language, compiled the first time they are used. */
+  queries: {
+    highlights: Query;
+  };
+};
+
+type PythonLanguage = Language & {
+  INJECTIONS_QUERY: string;
+  LOCALS_QUERY: string;
+  TAGS_QUERY: string;
+  FOLDS_QUERY: string;
+  INDENTS_QUERY: string;
+  /** The opt-in injections of SQL into strings, from queries/injections-sql.scm. */
+  SQL_INJECTIONS_QUERY: string;
+  queries: {
+    injections: Query;
+    locals: Query;
+    tags: Query;
+    folds: Query;
+    indents: Query;
+    sqlInjections: Query;
+  };
 };
 
-declare const language: Language;
+// The declarations of the syntax nodes, such as `FunctionDefinitionNode`, can
+// be imported from "tree-sitter-python/bindings/node/nodes", and the helpers
+// that list the imports, definitions and classes of a tree from
+// "tree-sitter-python/bindings/node/helpers".
+//
+// Where the native addon isn't built, this module exports only the `load`
+// function of "tree-sitter-python/wasm" instead, so code that must run in both
+// cases gets its languages with `await load(name)`.
+
+declare const language: PythonLanguage & {
+  /** The Python 3 grammar, without the Python 2 constructs. */
+  python3: PythonLanguage;
+  /** The grammar of PEP 484 type comments, such as `# type: List[int]`. */
+  typeComment: Language;
+  /** The IPython grammar, with magics, shell commands and help queries. */
+  ipython: PythonLanguage;
+  /** Resolves to the native build of a grammar, like "tree-sitter-python/wasm" does to its wasm build. */
+  load(name?: "python" | "python3" | "python_type_comment" | "ipython"): Promise<Language>;
+};
 export = language;
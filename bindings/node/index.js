@@ -1,11 +1,48 @@
 const root = require("path").join(__dirname, "..", "..");
+const { describe } = require("./languages");
 
-module.exports =
-  typeof process.versions.bun === "string"
-    // Support `bun build --compile` by being statically analyzable enough to find the .node file at build-time
-    ? require(`../../prebuilds/${process.platform}-${process.arch}/tree-sitter-python.node`)
-    : require("node-gyp-build")(root);
+/**
+ * Loads the native addon, or returns null if it isn't built for this
+ * platform. Any other error, such as an addon that fails to load, is thrown.
+ *
+ * @returns {any}
+ */
+function loadBinding() {
+  try {
+    return typeof process.versions.bun === "string"
+      // Support `bun build --compile` by being statically analyzable enough to find the .node file at build-time
+      ? require(`../../prebuilds/${process.platform}-${process.arch}/tree-sitter-python.node`)
+      : require("node-gyp-build")(root);
+  } catch (error) {
+    if (error.code === "MODULE_NOT_FOUND" || error.message.startsWith("No native build was found")) {
+      return null;
+    }
+    throw error;
+  }
+}
 
-try {
-  module.exports.nodeTypeInfo = require("../../src/node-types.json");
-} catch (_) {}
+const binding = loadBinding();
+
+if (binding) {
+  const languages = [binding, binding.python3, binding.typeComment, binding.ipython];
+  for (const language of languages) {
+    describe(language, (source) => {
+      const { Query } = require("tree-sitter");
+      return new Query(language, source);
+    });
+  }
+  // The same entry point as "tree-sitter-python/wasm", so that `await load()`
+  // works whether or not the addon is built.
+  binding.load = async (name = "python") => {
+    const language = languages.find((language) => language.name === name);
+    if (!language) {
+      throw new Error(`Unknown grammar ${name}`);
+    }
+    return language;
+  };
+  module.exports = binding;
+} else {
+  // Without a native build, for instance where native builds are blocked,
+  // fall back to the wasm builds, loaded with `await Python.load()`.
+  module.exports = require("./wasm");
+}
@@ -0,0 +1,89 @@
+/**
+ * @file The node types and queries that the native and wasm builds of the
+ * languages share.
+ */
+
+const { readFileSync } = require("node:fs");
+const { join } = require("node:path");
+
+const root = join(__dirname, "..", "..");
+
+const PYTHON3_QUERIES = {
+  highlights: ["highlights.scm"],
+  injections: ["injections.scm"],
+  locals: ["locals.scm"],
+  tags: ["tags.scm"],
+  folds: ["folds.scm"],
+  indents: ["indents.scm"],
+  sqlInjections: ["injections-sql.scm"],
+};
+
+/**
+ * The directory of each grammar, and the files of its queries in queries/.
+ *
+ * @type {{[name: string]: {path: string, queries: {[name: string]: string[]}}}}
+ */
+const LANGUAGES = {
+  python: {
+    path: ".",
+    queries: {
+      ...PYTHON3_QUERIES,
+      highlights: ["highlights.scm", "highlights-python2.scm"],
+      locals: ["locals.scm", "locals-python2.scm"],
+    },
+  },
+  python3: { path: "python3", queries: PYTHON3_QUERIES },
+  python_type_comment: { path: "type_comment", queries: { highlights: ["highlights-type-comment.scm"] } },
+  ipython: { path: "ipython", queries: PYTHON3_QUERIES },
+};
+
+/**
+ * Defines a property whose value is computed the first time that it is read.
+ *
+ * @param {object} object
+ *
+ * @param {string} property
+ *
+ * @param {() => unknown} compute
+ */
+function defineLazy(object, property, compute) {
+  Object.defineProperty(object, property, {
+    configurable: true,
+    enumerable: true,
+    get() {
+      const value = compute();
+      Object.defineProperty(object, property, { enumerable: true, value });
+      return value;
+    },
+  });
+}
+
+/**
+ * Adds the `nodeTypeInfo` of a language, its `<NAME>_QUERY` strings read from
+ * the files in queries/, and its `queries` object of the same queries
+ * compiled with `compile`.
+ *
+ * @param {any} language
+ *   An object with the `name` of the language.
+ *
+ * @param {(source: string) => unknown} compile
+ */
+function describe(language, compile) {
+  const { path, queries: files } = LANGUAGES[language.name];
+
+  try {
+    language.nodeTypeInfo = require(join(root, path, "src", "node-types.json"));
+  } catch (_) {}
+
+  const queries = {};
+  for (const [name, paths] of Object.entries(files)) {
+    const property = `${name.replace(/[A-Z]/g, (letter) => `_${letter}`).toUpperCase()}_QUERY`;
+    defineLazy(language, property, () => paths
+      .map((file) => readFileSync(join(root, "queries", file), "utf8"))
+      .join("\n"));
+    defineLazy(queries, name, () => compile(language[property]));
+  }
+  language.queries = queries;
+}
+
+module.exports = { describe };
@@ -0,0 +1,857 @@
+// Generated by bindings/node/generate_types.js from src/node-types.json.
+// Do not edit this file directly.
+
+import type { SyntaxNode } from "tree-sitter";
+
+/** A node for an anonymous token, such as an operator or a keyword. */
+export interface UnnamedNode<T extends string = string> extends SyntaxNode {
+  type: T;
+  isNamed: false;
+}
+
+export type CompoundStatementNode = ClassDefinitionNode | DecoratedDefinitionNode | ForStatementNode | FunctionDefinitionNode | IfStatementNode | MatchStatementNode | TryStatementNode | WhileStatementNode | WithStatementNode;
+
+export type SimpleStatementNode = AssertStatementNode | BreakStatementNode | ContinueStatementNode | DeleteStatementNode | ExecStatementNode | ExpressionStatementNode | FutureImportStatementNode | GlobalStatementNode | ImportFromStatementNode | ImportStatementNode | NonlocalStatementNode | PassStatementNode | PrintStatementNode | RaiseStatementNode | ReturnStatementNode | TypeAliasStatementNode;
+
+export type ExpressionNode = AsPatternNode | BooleanOperatorNode | ComparisonOperatorNode | ConditionalExpressionNode | LambdaNode | NamedExpressionNode | NotOperatorNode | PrimaryExpressionNode;
+
+export type ParameterNode = DefaultParameterNode | DictionarySplatPatternNode | IdentifierNode | KeywordSeparatorNode | ListSplatPatternNode | PositionalSeparatorNode | TuplePatternNode | TypedDefaultParameterNode | TypedParameterNode;
+
+export type PatternNode = AttributeNode | IdentifierNode | ListPatternNode | ListSplatPatternNode | SubscriptNode | TuplePatternNode;
+
+export type PrimaryExpressionNode = AttributeNode | AwaitNode | BinaryOperatorNode | CallNode | ConcatenatedStringNode | DictionaryComprehensionNode | DictionaryNode | EllipsisNode | FalseNode | FloatNode | GeneratorExpressionNode | IdentifierNode | IntegerNode | LegacyOctalNode | ListComprehensionNode | ListNode | ListSplatNode | NoneNode | ParenthesizedExpressionNode | ReprExpressionNode | SetComprehensionNode | SetNode | StringNode | SubscriptNode | TemplateStringNode | TrueNode | TupleNode | UnaryOperatorNode;
+
+export interface AliasedImportNode extends SyntaxNode {
+  type: "aliased_import";
+  aliasNode: IdentifierNode;
+  nameNode: DottedNameNode;
+}
+
+export interface ArgumentListNode extends SyntaxNode {
+  type: "argument_list";
+}
+
+export interface AsPatternNode extends SyntaxNode {
+  type: "as_pattern";
+  aliasNode: AsPatternTargetNode | null;
+}
+
+export interface AssertStatementNode extends SyntaxNode {
+  type: "assert_statement";
+  messageNode: ExpressionNode | null;
+  testNode: ExpressionNode;
+}
+
+export interface AssignmentNode extends SyntaxNode {
+  type: "assignment";
+  leftNode: PatternListNode | PatternNode;
+  rightNode: AssignmentNode | AugmentedAssignmentNode | ExpressionListNode | ExpressionNode | PatternListNode | YieldNode | null;
+  typeNode: TypeNode | null;
+}
+
+export interface AttributeNode extends SyntaxNode {
+  type: "attribute";
+  attributeNode: IdentifierNode;
+  objectNode: PrimaryExpressionNode;
+}
+
+export interface AugmentedAssignmentNode extends SyntaxNode {
+  type: "augmented_assignment";
+  leftNode: PatternListNode | PatternNode;
+  operatorNode: UnnamedNode<"%="> | UnnamedNode<"&="> | UnnamedNode<"**="> | UnnamedNode<"*="> | UnnamedNode<"+="> | UnnamedNode<"-="> | UnnamedNode<"//="> | UnnamedNode<"/="> | UnnamedNode<"<<="> | UnnamedNode<">>="> | UnnamedNode<"@="> | UnnamedNode<"^="> | UnnamedNode<"|=">;
+  rightNode: AssignmentNode | AugmentedAssignmentNode | ExpressionListNode | ExpressionNode | PatternListNode | YieldNode;
+}
+
+export interface AwaitNode extends SyntaxNode {
+  type: "await";
+}
+
+export interface BinaryOperatorNode extends SyntaxNode {
+  type: "binary_operator";
+  leftNode: PrimaryExpressionNode;
+  operatorNode: UnnamedNode<"%"> | UnnamedNode<"&"> | UnnamedNode<"*"> | UnnamedNode<"**"> | UnnamedNode<"+"> | UnnamedNode<"-"> | UnnamedNode<"/"> | UnnamedNode<"//"> | UnnamedNode<"<<"> | UnnamedNode<">>"> | UnnamedNode<"@"> | UnnamedNode<"^"> | UnnamedNode<"|">;
+  rightNode: PrimaryExpressionNode;
+}
+
+export interface BlockNode extends SyntaxNode {
+  type: "block";
+  alternativeNodes: Array<CaseClauseNode>;
+}
+
+export interface BooleanOperatorNode extends SyntaxNode {
+  type: "boolean_operator";
+  leftNode: ExpressionNode;
+  operatorNode: UnnamedNode<"and"> | UnnamedNode<"or">;
+  rightNode: ExpressionNode;
+}
+
+export interface BreakStatementNode extends SyntaxNode {
+  type: "break_statement";
+}
+
+export interface CallNode extends SyntaxNode {
+  type: "call";
+  argumentsNode: ArgumentListNode | GeneratorExpressionNode;
+  functionNode: PrimaryExpressionNode;
+}
+
+export interface CaseClauseNode extends SyntaxNode {
+  type: "case_clause";
+  consequenceNode: BlockNode;
+  guardNode: IfClauseNode | null;
+}
+
+export interface CasePatternNode extends SyntaxNode {
+  type: "case_pattern";
+}
+
+export interface ChevronNode extends SyntaxNode {
+  type: "chevron";
+}
+
+export interface ClassDefinitionNode extends SyntaxNode {
+  type: "class_definition";
+  bodyNode: BlockNode;
+  nameNode: IdentifierNode;
+  superclassesNode: ArgumentListNode | null;
+  typeParametersNode: TypeParametersNode | null;
+}
+
+export interface ClassPatternNode extends SyntaxNode {
+  type: "class_pattern";
+}
+
+export interface ComparisonOperatorNode extends SyntaxNode {
+  type: "comparison_operator";
+  operandsNodes: Array<PrimaryExpressionNode>;
+  operatorsNodes: Array<UnnamedNode<"!="> | UnnamedNode<"<"> | UnnamedNode<"<="> | UnnamedNode<"<>"> | UnnamedNode<"=="> | UnnamedNode<">"> | UnnamedNode<">="> | UnnamedNode<"in"> | UnnamedNode<"is not"> | UnnamedNode<"is"> | UnnamedNode<"not in">>;
+}
+
+export interface ComplexPatternNode extends SyntaxNode {
+  type: "complex_pattern";
+}
+
+export interface ConcatenatedStringNode extends SyntaxNode {
+  type: "concatenated_string";
+}
+
+export interface ConditionalExpressionNode extends SyntaxNode {
+  type: "conditional_expression";
+  alternativeNode: ExpressionNode;
+  conditionNode: ExpressionNode;
+  consequenceNode: ExpressionNode;
+}
+
+export interface ConstrainedTypeNode extends SyntaxNode {
+  type: "constrained_type";
+}
+
+export interface ContinueStatementNode extends SyntaxNode {
+  type: "continue_statement";
+}
+
+export interface DecoratedDefinitionNode extends SyntaxNode {
+  type: "decorated_definition";
+  definitionNode: ClassDefinitionNode | FunctionDefinitionNode;
+}
+
+export interface DecoratorNode extends SyntaxNode {
+  type: "decorator";
+  expressionNode: ExpressionNode;
+}
+
+export interface DefaultParameterNode extends SyntaxNode {
+  type: "default_parameter";
+  nameNode: IdentifierNode | TuplePatternNode;
+  valueNode: ExpressionNode;
+}
+
+export interface DeleteStatementNode extends SyntaxNode {
+  type: "delete_statement";
+}
+
+export interface DictPatternNode extends SyntaxNode {
+  type: "dict_pattern";
+  keyNodes: Array<ClassPatternNode | ComplexPatternNode | ConcatenatedStringNode | DictPatternNode | DottedNameNode | FalseNode | FloatNode | IntegerNode | ListPatternNode | NoneNode | SplatPatternNode | StringNode | TrueNode | TuplePatternNode | UnionPatternNode | UnnamedNode<"-"> | UnnamedNode<"_">>;
+  valueNodes: Array<CasePatternNode>;
+}
+
+export interface DictionaryNode extends SyntaxNode {
+  type: "dictionary";
+}
+
+export interface DictionaryComprehensionNode extends SyntaxNode {
+  type: "dictionary_comprehension";
+  bodyNode: PairNode;
+}
+
+export interface DictionarySplatNode extends SyntaxNode {
+  type: "dictionary_splat";
+}
+
+export interface DictionarySplatPatternNode extends SyntaxNode {
+  type: "dictionary_splat_pattern";
+}
+
+export interface DottedNameNode extends SyntaxNode {
+  type: "dotted_name";
+}
+
+export interface ElifClauseNode extends SyntaxNode {
+  type: "elif_clause";
+  conditionNode: ExpressionNode;
+  consequenceNode: BlockNode;
+}
+
+export interface ElseClauseNode extends SyntaxNode {
+  type: "else_clause";
+  bodyNode: BlockNode;
+}
+
+export interface ExceptClauseNode extends SyntaxNode {
+  type: "except_clause";
+  aliasNode: ExpressionNode | null;
+  bodyNode: BlockNode;
+  valueNode: ExpressionNode | null;
+}
+
+export interface ExceptGroupClauseNode extends SyntaxNode {
+  type: "except_group_clause";
+  aliasNode: ExpressionNode | null;
+  bodyNode: BlockNode;
+  valueNode: ExpressionListNode | ExpressionNode;
+}
+
+export interface ExecStatementNode extends SyntaxNode {
+  type: "exec_statement";
+  codeNode: IdentifierNode | StringNode;
+}
+
+export interface ExpressionListNode extends SyntaxNode {
+  type: "expression_list";
+}
+
+export interface ExpressionStatementNode extends SyntaxNode {
+  type: "expression_statement";
+}
+
+export interface FinallyClauseNode extends SyntaxNode {
+  type: "finally_clause";
+  bodyNode: BlockNode;
+}
+
+export interface ForInClauseNode extends SyntaxNode {
+  type: "for_in_clause";
+  leftNode: PatternListNode | PatternNode;
+  rightNodes: Array<ExpressionNode | UnnamedNode<",">>;
+}
+
+export interface ForStatementNode extends SyntaxNode {
+  type: "for_statement";
+  alternativeNode: ElseClauseNode | null;
+  bodyNode: BlockNode;
+  leftNode: PatternListNode | PatternNode;
+  rightNode: ExpressionListNode | ExpressionNode;
+}
+
+export interface FormatExpressionNode extends SyntaxNode {
+  type: "format_expression";
+  expressionNode: ExpressionListNode | ExpressionNode | PatternListNode | YieldNode;
+  formatSpecifierNode: FormatSpecifierNode | null;
+  typeConversionNode: TypeConversionNode | null;
+}
+
+export interface FormatSpecifierNode extends SyntaxNode {
+  type: "format_specifier";
+}
+
+export interface FunctionDefinitionNode extends SyntaxNode {
+  type: "function_definition";
+  bodyNode: BlockNode;
+  nameNode: IdentifierNode;
+  parametersNode: ParametersNode;
+  returnTypeNode: TypeNode | null;
+  typeParametersNode: TypeParametersNode | null;
+}
+
+export interface FutureImportStatementNode extends SyntaxNode {
+  type: "future_import_statement";
+  nameNodes: Array<AliasedImportNode | DottedNameNode>;
+}
+
+export interface GeneratorExpressionNode extends SyntaxNode {
+  type: "generator_expression";
+  bodyNode: ExpressionNode;
+}
+
+export interface GenericTypeNode extends SyntaxNode {
+  type: "generic_type";
+}
+
+export interface GlobalStatementNode extends SyntaxNode {
+  type: "global_statement";
+}
+
+export interface IfClauseNode extends SyntaxNode {
+  type: "if_clause";
+  conditionNode: ExpressionNode;
+}
+
+export interface IfStatementNode extends SyntaxNode {
+  type: "if_statement";
+  alternativeNodes: Array<ElifClauseNode | ElseClauseNode>;
+  conditionNode: ExpressionNode;
+  consequenceNode: BlockNode;
+}
+
+export interface ImportFromStatementNode extends SyntaxNode {
+  type: "import_from_statement";
+  moduleNameNode: DottedNameNode | RelativeImportNode;
+  nameNodes: Array<AliasedImportNode | DottedNameNode>;
+}
+
+export interface ImportPrefixNode extends SyntaxNode {
+  type: "import_prefix";
+}
+
+export interface ImportStatementNode extends SyntaxNode {
+  type: "import_statement";
+  nameNodes: Array<AliasedImportNode | DottedNameNode>;
+}
+
+export interface InterpolationNode extends SyntaxNode {
+  type: "interpolation";
+  expressionNode: ExpressionListNode | ExpressionNode | PatternListNode | YieldNode;
+  formatSpecifierNode: FormatSpecifierNode | null;
+  typeConversionNode: TypeConversionNode | null;
+}
+
+export interface KeywordArgumentNode extends SyntaxNode {
+  type: "keyword_argument";
+  nameNode: IdentifierNode;
+  valueNode: ExpressionNode;
+}
+
+export interface KeywordPatternNode extends SyntaxNode {
+  type: "keyword_pattern";
+}
+
+export interface KeywordSeparatorNode extends SyntaxNode {
+  type: "keyword_separator";
+}
+
+export interface LambdaNode extends SyntaxNode {
+  type: "lambda";
+  bodyNode: ExpressionNode;
+  parametersNode: LambdaParametersNode | null;
+}
+
+export interface LambdaParametersNode extends SyntaxNode {
+  type: "lambda_parameters";
+}
+
+export interface ListNode extends SyntaxNode {
+  type: "list";
+}
+
+export interface ListComprehensionNode extends SyntaxNode {
+  type: "list_comprehension";
+  bodyNode: ExpressionNode;
+}
+
+export interface ListPatternNode extends SyntaxNode {
+  type: "list_pattern";
+}
+
+export interface ListSplatNode extends SyntaxNode {
+  type: "list_splat";
+}
+
+export interface ListSplatPatternNode extends SyntaxNode {
+  type: "list_splat_pattern";
+}
+
+export interface MatchStatementNode extends SyntaxNode {
+  type: "match_statement";
+  bodyNode: BlockNode;
+  subjectNodes: Array<ExpressionNode>;
+}
+
+export interface MemberTypeNode extends SyntaxNode {
+  type: "member_type";
+}
+
+export interface ModuleNode extends SyntaxNode {
+  type: "module";
+}
+
+export interface NamedExpressionNode extends SyntaxNode {
+  type: "named_expression";
+  nameNode: IdentifierNode;
+  valueNode: ExpressionNode;
+}
+
+export interface NonlocalStatementNode extends SyntaxNode {
+  type: "nonlocal_statement";
+}
+
+export interface NotOperatorNode extends SyntaxNode {
+  type: "not_operator";
+  argumentNode: ExpressionNode;
+}
+
+export interface PairNode extends SyntaxNode {
+  type: "pair";
+  keyNode: ExpressionNode;
+  valueNode: ExpressionNode;
+}
+
+export interface ParametersNode extends SyntaxNode {
+  type: "parameters";
+}
+
+export interface ParamspecParameterNode extends SyntaxNode {
+  type: "paramspec_parameter";
+  defaultNode: TypeNode | null;
+  nameNode: IdentifierNode;
+}
+
+export interface ParenthesizedExpressionNode extends SyntaxNode {
+  type: "parenthesized_expression";
+}
+
+export interface ParenthesizedListSplatNode extends SyntaxNode {
+  type: "parenthesized_list_splat";
+}
+
+export interface PassStatementNode extends SyntaxNode {
+  type: "pass_statement";
+}
+
+export interface PatternListNode extends SyntaxNode {
+  type: "pattern_list";
+}
+
+export interface PositionalSeparatorNode extends SyntaxNode {
+  type: "positional_separator";
+}
+
+export interface PrintStatementNode extends SyntaxNode {
+  type: "print_statement";
+  argumentNodes: Array<ExpressionNode>;
+}
+
+export interface RaiseStatementNode extends SyntaxNode {
+  type: "raise_statement";
+  causeNode: ExpressionNode | null;
+}
+
+export interface RelativeImportNode extends SyntaxNode {
+  type: "relative_import";
+}
+
+export interface ReprExpressionNode extends SyntaxNode {
+  type: "repr_expression";
+  expressionNode: ExpressionListNode | ExpressionNode;
+}
+
+export interface ReturnStatementNode extends SyntaxNode {
+  type: "return_statement";
+}
+
+export interface SetNode extends SyntaxNode {
+  type: "set";
+}
+
+export interface SetComprehensionNode extends SyntaxNode {
+  type: "set_comprehension";
+  bodyNode: ExpressionNode;
+}
+
+export interface SliceNode extends SyntaxNode {
+  type: "slice";
+}
+
+export interface SplatPatternNode extends SyntaxNode {
+  type: "splat_pattern";
+}
+
+export interface SplatTypeNode extends SyntaxNode {
+  type: "splat_type";
+}
+
+export interface StringNode extends SyntaxNode {
+  type: "string";
+  prefixNodes: Array<UnnamedNode<"b"> | UnnamedNode<"f"> | UnnamedNode<"r"> | UnnamedNode<"u">>;
+  tripleQuoteNode: StringStartNode | null;
+}
+
+export interface StringContentNode extends SyntaxNode {
+  type: "string_content";
+}
+
+export interface SubscriptNode extends SyntaxNode {
+  type: "subscript";
+  subscriptNodes: Array<ExpressionNode | SliceNode>;
+  valueNode: PrimaryExpressionNode;
+}
+
+export interface TemplateStringNode extends SyntaxNode {
+  type: "template_string";
+  prefixNodes: Array<UnnamedNode<"r"> | UnnamedNode<"t">>;
+  tripleQuoteNode: StringStartNode | null;
+}
+
+export interface TryStatementNode extends SyntaxNode {
+  type: "try_statement";
+  bodyNode: BlockNode;
+}
+
+export interface TupleNode extends SyntaxNode {
+  type: "tuple";
+}
+
+export interface TuplePatternNode extends SyntaxNode {
+  type: "tuple_pattern";
+}
+
+export interface TypeNode extends SyntaxNode {
+  type: "type";
+}
+
+export interface TypeAliasStatementNode extends SyntaxNode {
+  type: "type_alias_statement";
+  leftNode: TypeNode;
+  rightNode: TypeNode;
+  typeParametersNode: TypeParametersNode | null;
+}
+
+export interface TypeParameterNode extends SyntaxNode {
+  type: "type_parameter";
+}
+
+export interface TypeParametersNode extends SyntaxNode {
+  type: "type_parameters";
+}
+
+export interface TypedDefaultParameterNode extends SyntaxNode {
+  type: "typed_default_parameter";
+  nameNode: IdentifierNode;
+  typeNode: TypeNode;
+  valueNode: ExpressionNode;
+}
+
+export interface TypedParameterNode extends SyntaxNode {
+  type: "typed_parameter";
+  typeNode: TypeNode;
+}
+
+export interface TypevarParameterNode extends SyntaxNode {
+  type: "typevar_parameter";
+  boundNode: TypeNode | null;
+  constraintsNode: TupleNode | null;
+  defaultNode: TypeNode | null;
+  nameNode: IdentifierNode;
+}
+
+export interface TypevartupleParameterNode extends SyntaxNode {
+  type: "typevartuple_parameter";
+  defaultNode: TypeNode | null;
+  nameNode: IdentifierNode;
+}
+
+export interface UnaryOperatorNode extends SyntaxNode {
+  type: "unary_operator";
+  argumentNode: PrimaryExpressionNode;
+  operatorNode: UnnamedNode<"+"> | UnnamedNode<"-"> | UnnamedNode<"~">;
+}
+
+export interface UnionPatternNode extends SyntaxNode {
+  type: "union_pattern";
+}
+
+export interface UnionTypeNode extends SyntaxNode {
+  type: "union_type";
+}
+
+export interface WhileStatementNode extends SyntaxNode {
+  type: "while_statement";
+  alternativeNode: ElseClauseNode | null;
+  bodyNode: BlockNode;
+  conditionNode: ExpressionNode;
+}
+
+export interface WildcardImportNode extends SyntaxNode {
+  type: "wildcard_import";
+}
+
+export interface WithClauseNode extends SyntaxNode {
+  type: "with_clause";
+}
+
+export interface WithItemNode extends SyntaxNode {
+  type: "with_item";
+  valueNode: ExpressionNode;
+}
+
+export interface WithStatementNode extends SyntaxNode {
+  type: "with_statement";
+  bodyNode: BlockNode;
+}
+
+export interface YieldNode extends SyntaxNode {
+  type: "yield";
+}
+
+export interface AlignNode extends SyntaxNode {
+  type: "align";
+}
+
+export interface AlternateFormNode extends SyntaxNode {
+  type: "alternate_form";
+}
+
+export interface CommentNode extends SyntaxNode {
+  type: "comment";
+}
+
+export interface EllipsisNode extends SyntaxNode {
+  type: "ellipsis";
+}
+
+export interface EscapeInterpolationNode extends SyntaxNode {
+  type: "escape_interpolation";
+}
+
+export interface EscapeSequenceNode extends SyntaxNode {
+  type: "escape_sequence";
+}
+
+export interface FalseNode extends SyntaxNode {
+  type: "false";
+}
+
+export interface FillNode extends SyntaxNode {
+  type: "fill";
+}
+
+export interface FloatNode extends SyntaxNode {
+  type: "float";
+}
+
+export interface GroupingNode extends SyntaxNode {
+  type: "grouping";
+}
+
+export interface IdentifierNode extends SyntaxNode {
+  type: "identifier";
+}
+
+export interface InconsistentIndentationNode extends SyntaxNode {
+  type: "inconsistent_indentation";
+}
+
+export interface IntegerNode extends SyntaxNode {
+  type: "integer";
+}
+
+export interface LegacyOctalNode extends SyntaxNode {
+  type: "legacy_octal";
+}
+
+export interface LineContinuationNode extends SyntaxNode {
+  type: "line_continuation";
+}
+
+export interface NoneNode extends SyntaxNode {
+  type: "none";
+}
+
+export interface PrecisionNode extends SyntaxNode {
+  type: "precision";
+}
+
+export interface PresentationTypeNode extends SyntaxNode {
+  type: "presentation_type";
+}
+
+export interface SelfDocumentingMarkerNode extends SyntaxNode {
+  type: "self_documenting_marker";
+}
+
+export interface SignNode extends SyntaxNode {
+  type: "sign";
+}
+
+export interface StringEndNode extends SyntaxNode {
+  type: "string_end";
+}
+
+export interface StringStartNode extends SyntaxNode {
+  type: "string_start";
+}
+
+export interface TrueNode extends SyntaxNode {
+  type: "true";
+}
+
+export interface TypeConversionNode extends SyntaxNode {
+  type: "type_conversion";
+}
+
+export interface WidthNode extends SyntaxNode {
+  type: "width";
+}
+
+export interface ZeroPaddingNode extends SyntaxNode {
+  type: "zero_padding";
+}
+
+export interface AsPatternTargetNode extends SyntaxNode {
+  type: "as_pattern_target";
+}
+
+/** Any named node of the grammar. */
+export type NamedNode =
+  | AliasedImportNode
+  | ArgumentListNode
+  | AsPatternNode
+  | AssertStatementNode
+  | AssignmentNode
+  | AttributeNode
+  | AugmentedAssignmentNode
+  | AwaitNode
+  | BinaryOperatorNode
+  | BlockNode
+  | BooleanOperatorNode
+  | BreakStatementNode
+  | CallNode
+  | CaseClauseNode
+  | CasePatternNode
+  | ChevronNode
+  | ClassDefinitionNode
+  | ClassPatternNode
+  | ComparisonOperatorNode
+  | ComplexPatternNode
+  | ConcatenatedStringNode
+  | ConditionalExpressionNode
+  | ConstrainedTypeNode
+  | ContinueStatementNode
+  | DecoratedDefinitionNode
+  | DecoratorNode
+  | DefaultParameterNode
+  | DeleteStatementNode
+  | DictPatternNode
+  | DictionaryNode
+  | DictionaryComprehensionNode
+  | DictionarySplatNode
+  | DictionarySplatPatternNode
+  | DottedNameNode
+  | ElifClauseNode
+  | ElseClauseNode
+  | ExceptClauseNode
+  | ExceptGroupClauseNode
+  | ExecStatementNode
+  | ExpressionListNode
+  | ExpressionStatementNode
+  | FinallyClauseNode
+  | ForInClauseNode
+  | ForStatementNode
+  | FormatExpressionNode
+  | FormatSpecifierNode
+  | FunctionDefinitionNode
+  | FutureImportStatementNode
+  | GeneratorExpressionNode
+  | GenericTypeNode
+  | GlobalStatementNode
+  | IfClauseNode
+  | IfStatementNode
+  | ImportFromStatementNode
+  | ImportPrefixNode
+  | ImportStatementNode
+  | InterpolationNode
+  | KeywordArgumentNode
+  | KeywordPatternNode
+  | KeywordSeparatorNode
+  | LambdaNode
+  | LambdaParametersNode
+  | ListNode
+  | ListComprehensionNode
+  | ListPatternNode
+  | ListSplatNode
+  | ListSplatPatternNode
+  | MatchStatementNode
+  | MemberTypeNode
+  | ModuleNode
+  | NamedExpressionNode
+  | NonlocalStatementNode
+  | NotOperatorNode
+  | PairNode
+  | ParametersNode
+  | ParamspecParameterNode
+  | ParenthesizedExpressionNode
+  | ParenthesizedListSplatNode
+  | PassStatementNode
+  | PatternListNode
+  | PositionalSeparatorNode
+  | PrintStatementNode
+  | RaiseStatementNode
+  | RelativeImportNode
+  | ReprExpressionNode
+  | ReturnStatementNode
+  | SetNode
+  | SetComprehensionNode
+  | SliceNode
+  | SplatPatternNode
+  | SplatTypeNode
+  | StringNode
+  | StringContentNode
+  | SubscriptNode
+  | TemplateStringNode
+  | TryStatementNode
+  | TupleNode
+  | TuplePatternNode
+  | TypeNode
+  | TypeAliasStatementNode
+  | TypeParameterNode
+  | TypeParametersNode
+  | TypedDefaultParameterNode
+  | TypedParameterNode
+  | TypevarParameterNode
+  | TypevartupleParameterNode
+  | UnaryOperatorNode
+  | UnionPatternNode
+  | UnionTypeNode
+  | WhileStatementNode
+  | WildcardImportNode
+  | WithClauseNode
+  | WithItemNode
+  | WithStatementNode
+  | YieldNode
+  | AlignNode
+  | AlternateFormNode
+  | CommentNode
+  | EllipsisNode
+  | EscapeInterpolationNode
+  | EscapeSequenceNode
+  | FalseNode
+  | FillNode
+  | FloatNode
+  | GroupingNode
+  | IdentifierNode
+  | InconsistentIndentationNode
+  | IntegerNode
+  | LegacyOctalNode
+  | LineContinuationNode
+  | NoneNode
+  | PrecisionNode
+  | PresentationTypeNode
+  | SelfDocumentingMarkerNode
+  | SignNode
+  | StringEndNode
+  | StringStartNode
+  | TrueNode
+  | TypeConversionNode
+  | WidthNode
+  | ZeroPaddingNode
+  | AsPatternTargetNode;
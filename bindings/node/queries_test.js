@@ -0,0 +1,190 @@
+const assert = require("node:assert");
+const { readdirSync, readFileSync } = require("node:fs");
+const { join } = require("node:path");
+const { test } = require("node:test");
+
+const Parser = require("tree-sitter");
+const Python = require(".");
+
+const root = join(__dirname, "..", "..");
+
+const { grammars } = JSON.parse(readFileSync(join(root, "tree-sitter.json"), "utf8"));
+const languages = [Python, Python.python3, Python.typeComment, Python.ipython];
+
+/**
+ * Returns the language of the first grammar in tree-sitter.json that uses a
+ * query, or Python for the queries that it doesn't list.
+ *
+ * @param {string} file
+ *
+ * @returns {import("tree-sitter").Language}
+ */
+function languageOf(file) {
+  const grammar = grammars.find((grammar) => Object.values(grammar).flat().includes(`queries/${file}`));
+  return languages.find(({ name }) => name === (grammar?.name ?? Python.name));
+}
+
+/**
+ * Collects the assertions of a fixture. Like the ones in test/highlight,
+ * `# ^ name` points at the column of the caret and `# <- name` at the
+ * column of the comment, on the closest line above that is not an assertion.
+ *
+ * @param {string} source
+ *
+ * @returns {{row: number, column: number, name: string}[]}
+ */
+function parseAssertions(source) {
+  const assertions = [];
+  let row = -1;
+  source.split("\n").forEach((line, index) => {
+    const match = /^(\s*)#\s*(\^|<-)\s*(\S+)\s*$/.exec(line);
+    if (!match) {
+      row = index;
+      return;
+    }
+    const column = match[2] === "^" ? line.indexOf("^") : match[1].length;
+    assertions.push({ row, column, name: match[3] });
+  });
+  return assertions;
+}
+
+/**
+ * Checks that every assertion of the fixtures in `directory` matches the start
+ * of a node captured with the asserted name by `queryFile`.
+ *
+ * @param {string} queryFile
+ *
+ * @param {string} directory
+ */
+function assertCaptures(queryFile, directory) {
+  const parser = new Parser();
+  parser.setLanguage(Python);
+  const query = new Parser.Query(Python, readFileSync(join(root, "queries", queryFile), "utf8"));
+
+  for (const file of readdirSync(join(root, "test", directory))) {
+    const source = readFileSync(join(root, "test", directory, file), "utf8");
+    const captures = query.captures(parser.parse(source).rootNode);
+    for (const { row, column, name } of parseAssertions(source)) {
+      assert.ok(
+        captures.some((capture) => capture.name === name &&
+          capture.node.startPosition.row === row &&
+          capture.node.startPosition.column === column),
+        `${file}:${row + 1}:${column + 1}: expected a node captured as ${name}`,
+      );
+    }
+  }
+}
+
+// The names that the consumers of each query understand. Captures that start
+// with `_` are only used by predicates.
+const HIGHLIGHT_NAMES = [
+  "attribute", "comment", "constant", "constant.builtin", "constructor", "embedded", "escape",
+  "function", "function.builtin", "function.method", "keyword", "module", "number", "operator",
+  "property", "punctuation.bracket", "punctuation.delimiter", "punctuation.special", "string",
+  "string.special", "type", "type.builtin", "variable", "variable.builtin", "variable.parameter",
+];
+
+const CAPTURE_NAMES = {
+  "folds.scm": ["fold"],
+  "highlights.scm": HIGHLIGHT_NAMES,
+  "highlights-python2.scm": HIGHLIGHT_NAMES,
+  "highlights-type-comment.scm": HIGHLIGHT_NAMES,
+  "indents.scm": ["indent.auto", "indent.begin", "indent.branch", "indent.dedent", "indent.end"],
+  "injections.scm": ["injection.content", "injection.language"],
+  "injections-sql.scm": ["injection.content", "injection.language"],
+  "locals.scm": ["local.definition", "local.reference", "local.scope"],
+  "locals-python2.scm": ["local.definition", "local.reference"],
+  "tags.scm": [
+    "definition.class", "definition.constant", "definition.function", "definition.method",
+    "definition.module", "doc", "name", "reference.call", "reference.class", "reference.module",
+  ],
+};
+
+const PROPERTY_NAMES = ["injection.combined", "injection.include-children", "injection.language"];
+
+test("shipped queries only use known names", () => {
+  for (const file of readdirSync(join(root, "queries"))) {
+    assert.ok(file in CAPTURE_NAMES, `${file}: no capture names are listed for this query`);
+
+    // Compiling the query fails if it names a node or field that the grammar
+    // doesn't have, or a predicate that the bindings don't implement.
+    const source = readFileSync(join(root, "queries", file), "utf8");
+    const query = new Parser.Query(languageOf(file), source);
+
+    const captures = source
+      .replace(/"(?:[^"\\]|\\.)*"|;.*/g, "")
+      .matchAll(/@([\w.-]+)/g);
+    for (const [, name] of captures) {
+      assert.ok(
+        name.startsWith("_") || CAPTURE_NAMES[file].includes(name),
+        `${file}: unknown capture @${name}`,
+      );
+    }
+    for (const properties of query.setProperties.filter(Boolean)) {
+      for (const name of Object.keys(properties)) {
+        assert.ok(PROPERTY_NAMES.includes(name), `${file}: unknown property ${name}`);
+      }
+    }
+  }
+});
+
+test("shipped queries capture known nodes in the examples", () => {
+  // CI clones whole projects into subdirectories of examples/, which are
+  // left to the parse action.
+  const sources = ["examples", join("test", "highlight")].flatMap((directory) => readdirSync(
+    join(root, directory),
+    { withFileTypes: true },
+  )
+    .filter((entry) => entry.isFile() && entry.name.endsWith(".py"))
+    .map(({ name }) => [join(directory, name), readFileSync(join(root, directory, name), "utf8")]));
+  assert.ok(sources.length > 0);
+
+  for (const file of readdirSync(join(root, "queries"))) {
+    const language = languageOf(file);
+    if (language !== Python) {
+      continue;
+    }
+
+    const parser = new Parser();
+    parser.setLanguage(language);
+    const types = new Set(language.nodeTypeInfo.map(({ type }) => type));
+    const query = new Parser.Query(language, readFileSync(join(root, "queries", file), "utf8"));
+    for (const [path, source] of sources) {
+      for (const { name, node } of query.captures(parser.parse(source).rootNode)) {
+        assert.ok(
+          name.startsWith("_") || CAPTURE_NAMES[file].includes(name),
+          `${file}: unknown capture @${name} in ${path}`,
+        );
+        assert.ok(types.has(node.type), `${file}: @${name} captured an unknown ${node.type} node in ${path}`);
+      }
+    }
+  }
+});
+
+test("queries of each grammar compile", () => {
+  for (const grammar of grammars) {
+    const language = languages.find(({ name }) => name === grammar.name);
+    for (const kind of ["highlights", "injections", "locals", "tags"]) {
+      const source = [grammar[kind] ?? []].flat()
+        .map((path) => readFileSync(join(root, path), "utf8"))
+        .join("\n");
+      assert.doesNotThrow(() => new Parser.Query(language, source), `${grammar.name}: ${kind}`);
+    }
+  }
+});
+
+test("bundled queries compile", () => {
+  for (const language of [Python, Python.python3, Python.ipython, Python.typeComment]) {
+    for (const name of Object.keys(language.queries)) {
+      assert.ok(language.queries[name] instanceof Parser.Query, `${language.name}: ${name}`);
+    }
+  }
+});
+
+test("folds", () => {
+  assertCaptures("folds.scm", "folds");
+});
+
+test("indents", () => {
+  assertCaptures("indents.scm", "indents");
+});
@@ -0,0 +1,17 @@
+import type { Language, Query } from "web-tree-sitter";
+
+type WasmLanguage = {
+  name: string;
+  language: Language;
+  nodeTypeInfo: unknown[];
+  HIGHLIGHTS_QUERY: string;
+  /** The queries of the language, compiled the first time they are used. */
+  queries: { [name: string]: Query };
+  [query: `${string}_QUERY`]: string;
+};
+
+/**
+ * Loads a language from its wasm build, `tree-sitter-<name>.wasm`, with
+ * web-tree-sitter.
+ */
+export function load(name?: "python" | "python3" | "python_type_comment" | "ipython"): Promise<WasmLanguage>;
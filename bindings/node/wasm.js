@@ -0,0 +1,31 @@
+/**
+ * @file Loads the languages from their wasm builds with web-tree-sitter, for
+ * the environments where the native addon can't be built. The wasm files are
+ * built with `tree-sitter build --wasm`.
+ */
+
+const { join } = require("node:path");
+const { describe } = require("./languages");
+
+const root = join(__dirname, "..", "..");
+
+/**
+ * Loads a language from `tree-sitter-<name>.wasm`, at the root of the package.
+ * Its queries are compiled with web-tree-sitter.
+ *
+ * @param {string} [name]
+ *   The name of the grammar, such as "python" or "python3".
+ *
+ * @returns {Promise<any>}
+ */
+async function load(name = "python") {
+  const Parser = require("web-tree-sitter");
+  await Parser.init();
+  const language = await Parser.Language.load(join(root, `tree-sitter-${name}.wasm`));
+
+  const result = { name, language };
+  describe(result, (source) => language.query(source));
+  return result;
+}
+
+module.exports = { load };
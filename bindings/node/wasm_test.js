@@ -0,0 +1,33 @@
+const assert = require("node:assert");
+const { existsSync } = require("node:fs");
+const { join } = require("node:path");
+const { test } = require("node:test");
+
+const root = join(__dirname, "..", "..");
+
+const GRAMMARS = [
+  ["python", "."],
+  ["python3", "python3"],
+  ["python_type_comment", "type_comment"],
+  ["ipython", "ipython"],
+];
+
+for (const [name, path] of GRAMMARS) {
+  const wasm = join(root, `tree-sitter-${name}.wasm`);
+
+  // Only the Linux job of CI builds the wasm files, so the others skip this.
+  test(`can load ${name} wasm grammar`, {
+    skip: !existsSync(wasm) && `tree-sitter-${name}.wasm is built with \`tree-sitter build --wasm\``,
+  }, async () => {
+    const Parser = require("web-tree-sitter");
+    const language = await require("./wasm").load(name);
+
+    const parser = new Parser();
+    parser.setLanguage(language.language);
+    const tree = parser.parse(name === "python_type_comment" ? "List[int]\n" : "def a():\n    pass\n");
+    assert.ok(!tree.rootNode.hasError, tree.rootNode.toString());
+
+    assert.deepStrictEqual(language.nodeTypeInfo, require(join(root, path, "src", "node-types.json")));
+    assert.ok(language.queries.highlights.captures(tree.rootNode).length > 0);
+  });
+}
@@ -5,15 +5,19 @@ from importlib.resources import files as _files
 from ._binding import language
 
 
-def _get_query(name, file):
-    query = _files(f"{__package__}.queries") / file
-    globals()[name] = query.read_text()
+def _get_query(name, *files):
+    queries = _files(f"{__package__}.queries")
+    globals()[name] = "".join((queries / file).read_text() for file in files)
     return globals()[name]
 
 
 def __getattr__(name):
     if name == "HIGHLIGHTS_QUERY":
-        return _get_query("HIGHLIGHTS_QUERY", "highlights.scm")
+        return _get_query("HIGHLIGHTS_QUERY", "highlights.scm", "highlights-python2.scm")
+    if name == "INJECTIONS_QUERY":
+        return _get_query("INJECTIONS_QUERY", "injections.scm")
+    if name == "LOCALS_QUERY":
+        return _get_query("LOCALS_QUERY", "locals.scm", "locals-python2.scm")
     if name == "TAGS_QUERY":
         return _get_query("TAGS_QUERY", "tags.scm")
 
@@ -23,6 +27,8 @@ def __getattr__(name):
 __all__ = [
     "language",
     "HIGHLIGHTS_QUERY",
+    "INJECTIONS_QUERY",
+    "LOCALS_QUERY",
     "TAGS_QUERY",
 ]
 
@@ -43,6 +43,7 @@ module.exports = grammar({
     $.comment,
     /[\s\f\uFEFF\u2060\u200B]|\r?\n/,
     $.line_continuation,
+    $.inconsistent_indentation,
   ],
 
   conflicts: $ => [
@@ -71,6 +72,16 @@ module.exports = grammar({
     $._indent,
     $._dedent,
     $.string_start,
+    $._triple_string_start,
+
+    // Every string prefix letter is a separate token, so that the flags of a
+    // string can be read from the tree instead of from its text.
+    $._raw_prefix,
+    $._bytes_prefix,
+    $._format_prefix,
+    $._template_prefix,
+    $._unicode_prefix,
+
     $._string_content,
     $.escape_interpolation,
     $.string_end,
@@ -88,6 +99,14 @@ module.exports = grammar({
     ')',
     '}',
     'except',
+
+    // The fill character of a format specifier depends on the character
+    // after it.
+    $.fill,
+
+    // Marks a line whose indentation only matches its block if a tab counts
+    // as 8 columns, which Python 3 rejects with a TabError.
+    $.inconsistent_indentation,
   ],
 
   inline: $ => [
@@ -97,6 +116,8 @@ module.exports = grammar({
     $._expressions,
     $._left_hand_side,
     $.keyword_identifier,
+    $._string_prefix,
+    $._string_start,
   ],
 
   word: $ => $.identifier,
@@ -189,17 +210,23 @@ module.exports = grammar({
     wildcard_import: _ => '*',
 
     print_statement: $ => choice(
+      // A trailing comma, which suppresses the line break, needs an argument
+      // before it: `print >>f,` is a syntax error.
       prec(1, seq(
         'print',
         $.chevron,
-        repeat(seq(',', field('argument', $.expression))),
-        optional(',')),
-      ),
+        optional(seq(
+          repeat1(seq(',', field('argument', $.expression))),
+          optional(','),
+        )),
+      )),
       prec(-3, prec.dynamic(-1, seq(
         'print',
         commaSep1(field('argument', $.expression)),
         optional(','),
       ))),
+      // On its own, `print` prints a line break.
+      'print',
     ),
 
     chevron: $ => seq(
@@ -209,7 +236,11 @@ module.exports = grammar({
 
     assert_statement: $ => seq(
       'assert',
-      commaSep1($.expression),
+      field('test', $.expression),
+      optional(seq(
+        ',',
+        field('message', $.expression),
+      )),
     ),
 
     expression_statement: $ => choice(
@@ -366,26 +397,30 @@ module.exports = grammar({
         )),
       )),
       ':',
-      $._suite,
+      field('body', $._suite),
     ),
 
     except_group_clause: $ => seq(
       'except*',
-      seq(
-        $.expression,
-        optional(seq(
-          'as',
-          $.expression,
-        )),
+      choice(
+        seq(
+          field('value', $.expression),
+          optional(seq(
+            'as',
+            field('alias', $.expression),
+          )),
+        ),
+        // PEP 758: several exception types without parentheses
+        field('value', $.expression_list),
       ),
       ':',
-      $._suite,
+      field('body', $._suite),
     ),
 
     finally_clause: $ => seq(
       'finally',
       ':',
-      $._suite,
+      field('body', $._suite),
     ),
 
     with_statement: $ => seq(
@@ -409,7 +444,7 @@ module.exports = grammar({
       optional('async'),
       'def',
       field('name', $.identifier),
-      field('type_parameters', optional($.type_parameter)),
+      field('type_parameters', optional($.type_parameters)),
       field('parameters', $.parameters),
       optional(
         seq(
@@ -460,28 +495,74 @@ module.exports = grammar({
       ),
     ),
 
+    // The name stays in a `type` node, in the `left` field, so that the
+    // queries written before the type parameters had their own node still
+    // match.
     type_alias_statement: $ => prec.dynamic(1, seq(
       'type',
-      field('left', $.type),
+      field('left', alias($._type_alias_name, $.type)),
+      field('type_parameters', optional($.type_parameters)),
       '=',
       field('right', $.type),
     )),
 
+    _type_alias_name: $ => $.identifier,
+
     class_definition: $ => seq(
       'class',
       field('name', $.identifier),
-      field('type_parameters', optional($.type_parameter)),
+      field('type_parameters', optional($.type_parameters)),
       field('superclasses', optional($.argument_list)),
       ':',
       field('body', $._suite),
     ),
-    type_parameter: $ => seq(
+
+    type_parameters: $ => seq(
       '[',
-      commaSep1($.type),
+      commaSep1($._type_parameter),
       optional(','),
       ']',
     ),
 
+    _type_parameter: $ => choice(
+      $.typevar_parameter,
+      $.typevartuple_parameter,
+      $.paramspec_parameter,
+    ),
+
+    // A parenthesized tuple lists the constraints of the type variable,
+    // rather than bounding it with a tuple type. The precedence covers the
+    // whole rule, since the optional default would otherwise reset it after
+    // the tuple.
+    typevar_parameter: $ => prec(1, seq(
+      field('name', $.identifier),
+      optional(seq(
+        ':',
+        choice(
+          field('bound', $.type),
+          field('constraints', $.tuple),
+        ),
+      )),
+      optional($._type_parameter_default),
+    )),
+
+    typevartuple_parameter: $ => seq(
+      '*',
+      field('name', $.identifier),
+      optional($._type_parameter_default),
+    ),
+
+    paramspec_parameter: $ => seq(
+      '**',
+      field('name', $.identifier),
+      optional($._type_parameter_default),
+    ),
+
+    _type_parameter_default: $ => seq(
+      '=',
+      field('default', $.type),
+    ),
+
     parenthesized_list_splat: $ => prec(PREC.parenthesized_list_splat, seq(
       '(',
       choice(
@@ -516,7 +597,7 @@ module.exports = grammar({
 
     decorator: $ => seq(
       '@',
-      $.expression,
+      field('expression', $.expression),
       $._newline,
     ),
 
@@ -733,8 +814,10 @@ module.exports = grammar({
       $.identifier,
       $.keyword_identifier,
       $.string,
+      $.template_string,
       $.concatenated_string,
       $.integer,
+      $.legacy_octal,
       $.float,
       $.true,
       $.false,
@@ -752,6 +835,7 @@ module.exports = grammar({
       $.tuple,
       $.parenthesized_expression,
       $.generator_expression,
+      $.repr_expression,
       $.ellipsis,
       alias($.list_splat_pattern, $.list_splat),
     ),
@@ -810,7 +894,7 @@ module.exports = grammar({
     _is_not: _ => seq('is', 'not'),
 
     comparison_operator: $ => prec.left(PREC.compare, seq(
-      $.primary_expression,
+      field('operands', $.primary_expression),
       repeat1(seq(
         field('operators',
           choice(
@@ -826,7 +910,7 @@ module.exports = grammar({
             'is',
             alias($._is_not, 'is not'),
           )),
-        $.primary_expression,
+        field('operands', $.primary_expression),
       )),
     )),
 
@@ -950,7 +1034,7 @@ module.exports = grammar({
       $.constrained_type,
       $.member_type,
     ),
-    splat_type: $ => prec(1, seq(choice('*', '**'), $.identifier)),
+    splat_type: $ => prec(1, seq(choice('*', '**'), choice($.identifier, $.generic_type))),
     generic_type: $ => prec(1, seq(
       choice(
         $.identifier,
@@ -958,6 +1042,12 @@ module.exports = grammar({
       ),
       $.type_parameter,
     )),
+    type_parameter: $ => seq(
+      '[',
+      commaSep1($.type),
+      optional(','),
+      ']',
+    ),
     union_type: $ => prec.left(seq($.type, '|', $.type)),
     constrained_type: $ => prec.right(seq($.type, ':', $.type)),
     member_type: $ => seq($.type, '.', $.identifier),
@@ -1043,6 +1133,13 @@ module.exports = grammar({
       ')',
     )),
 
+    // The Python 2 spelling of `repr(...)`.
+    repr_expression: $ => seq(
+      '`',
+      field('expression', choice($.expression, $.expression_list)),
+      '`',
+    ),
+
     _collection_elements: $ => seq(
       commaSep1(choice(
         $.expression, $.yield, $.list_splat, $.parenthesized_list_splat,
@@ -1061,28 +1158,50 @@ module.exports = grammar({
 
     if_clause: $ => seq(
       'if',
-      $.expression,
+      field('condition', $.expression),
     ),
 
     conditional_expression: $ => prec.right(PREC.conditional, seq(
-      $.expression,
+      field('consequence', $.expression),
       'if',
-      $.expression,
+      field('condition', $.expression),
       'else',
-      $.expression,
+      field('alternative', $.expression),
     )),
 
-    concatenated_string: $ => seq(
-      $.string,
-      repeat1($.string),
+    concatenated_string: $ => choice(
+      seq($.string, repeat1($.string)),
+      seq($.template_string, repeat1($.template_string)),
     ),
 
     string: $ => seq(
-      $.string_start,
+      repeat(field('prefix', $._string_prefix)),
+      $._string_start,
+      repeat(choice($.interpolation, $.string_content)),
+      $.string_end,
+    ),
+
+    template_string: $ => seq(
+      optional(field('prefix', alias($._raw_prefix, 'r'))),
+      field('prefix', alias($._template_prefix, 't')),
+      optional(field('prefix', alias($._raw_prefix, 'r'))),
+      $._string_start,
       repeat(choice($.interpolation, $.string_content)),
       $.string_end,
     ),
 
+    _string_prefix: $ => choice(
+      alias($._raw_prefix, 'r'),
+      alias($._bytes_prefix, 'b'),
+      alias($._format_prefix, 'f'),
+      alias($._unicode_prefix, 'u'),
+    ),
+
+    _string_start: $ => choice(
+      $.string_start,
+      field('triple_quote', alias($._triple_string_start, $.string_start)),
+    ),
+
     string_content: $ => prec.right(repeat1(
       choice(
         $.escape_interpolation,
@@ -1094,7 +1213,7 @@ module.exports = grammar({
     interpolation: $ => seq(
       '{',
       field('expression', $._f_expression),
-      optional('='),
+      optional(alias('=', $.self_documenting_marker)),
       optional(field('type_conversion', $.type_conversion)),
       optional(field('format_specifier', $.format_specifier)),
       '}',
@@ -1122,16 +1241,56 @@ module.exports = grammar({
 
     _not_escape_sequence: _ => token.immediate('\\'),
 
+    // The components of the standard format specification, from
+    // `[[fill]align][sign][#][0][width][grouping][.precision][type]`.
     format_specifier: $ => seq(
       ':',
-      repeat(choice(
-        token(prec(1, /[^{}\n]+/)),
-        alias($.interpolation, $.format_expression),
+      optional(seq(optional($.fill), $.align)),
+      optional($.sign),
+      optional($.alternate_form),
+      optional($.zero_padding),
+      // Nested replacement fields can follow each other, as in
+      // `{x:{align}{width}}`.
+      optional(choice($.width, repeat1(alias($.interpolation, $.format_expression)))),
+      optional($.grouping),
+      optional(seq(
+        token.immediate(prec(2, '.')),
+        choice($.precision, repeat1(alias($.interpolation, $.format_expression))),
+      )),
+      optional($.presentation_type),
+      // The formats of other types, such as `%Y-%m-%d` for dates, are kept as
+      // text.
+      optional(seq(
+        $._format_text,
+        repeat(choice($._format_text, alias($.interpolation, $.format_expression))),
       )),
     ),
 
+    // The components take precedence over the text of other formats.
+    align: _ => token.immediate(prec(2, /[<>=^]/)),
+    sign: _ => token.immediate(prec(2, /[+\- ]/)),
+    alternate_form: _ => token.immediate(prec(2, '#')),
+    zero_padding: _ => token.immediate(prec(2, '0')),
+    width: _ => token.immediate(prec(2, /[1-9][0-9]*/)),
+    grouping: _ => token.immediate(prec(2, /[,_]/)),
+    precision: _ => token.immediate(prec(2, /[0-9]+/)),
+    presentation_type: _ => token.immediate(prec(2, /[bcdeEfFgGnosxX%]/)),
+
+    // A type character that more text follows, as in `%Y-%m-%d`, starts the
+    // text of another format instead.
+    _format_text: _ => token(choice(
+      prec(1, /[^{}\n]+/),
+      prec(2, /[bcdeEfFgGnosxX%][^{}\n]+/),
+    )),
+
     type_conversion: _ => /![a-z]/,
 
+    // A Python 2 octal literal without the `0o` prefix, like `0777`. Being
+    // defined before `integer`, it wins over the integers with the same
+    // digits, while the longer floats and imaginary numbers, like `07.5` and
+    // `010j`, still win over it.
+    legacy_octal: _ => token(/0[0-7]*[1-7][0-7]*[Ll]?/),
+
     integer: _ => token(choice(
       seq(
         choice('0x', '0X'),
@@ -0,0 +1,71 @@
+/**
+ * @file IPython grammar for tree-sitter, for the cells of Jupyter notebooks
+ * @author Max Brunsfeld <maxbrunsfeld@gmail.com>
+ * @license MIT
+ * @see {@link https://ipython.readthedocs.io/en/stable/interactive/python-ipython-diff.html|IPython syntax}
+ */
+
+
+/// <reference types="tree-sitter-cli/dsl" />
+// @ts-check
+
+const Python3 = require('../python3/grammar');
+
+module.exports = grammar(Python3, {
+  name: 'ipython',
+
+  rules: {
+    // A cell magic takes the whole cell, so it can only start the module.
+    module: ($, original) => choice(
+      $.cell_magic,
+      original,
+    ),
+
+    _simple_statement: ($, original) => choice(
+      ...original.members,
+      $.line_magic,
+      $.shell_command,
+      $.help_query,
+    ),
+
+    // `x = %who_ls` and `x = !ls` capture the output of the magic or of the
+    // command.
+    _right_hand_side: ($, original) => choice(
+      ...original.members,
+      $.line_magic,
+      $.shell_command,
+    ),
+
+    line_magic: $ => seq(
+      '%',
+      field('name', $._magic_name),
+      optional(field('arguments', alias($._line_text, $.magic_arguments))),
+    ),
+
+    cell_magic: $ => seq(
+      '%%',
+      field('name', $._magic_name),
+      optional(field('arguments', alias($._line_text, $.magic_arguments))),
+      $._newline,
+      optional(field('body', $.cell_body)),
+    ),
+
+    shell_command: $ => seq(
+      '!',
+      optional(field('command', alias($._line_text, $.shell_text))),
+    ),
+
+    help_query: $ => choice(
+      seq(choice('?', '??'), field('object', $.primary_expression)),
+      seq(field('object', $.primary_expression), choice('?', '??')),
+    ),
+
+    _magic_name: $ => alias(token.immediate(/[a-zA-Z_][a-zA-Z0-9_]*/), $.identifier),
+
+    // The rest of the line, which is passed to the magic or to the shell
+    // as it is.
+    _line_text: _ => /[^\r\n]+/,
+
+    cell_body: _ => /(.|\r?\n)+/,
+  },
+});
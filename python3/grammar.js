@@ -0,0 +1,96 @@
+/**
+ * @file Python 3 grammar for tree-sitter, without the Python 2 constructs
+ * @author Max Brunsfeld <maxbrunsfeld@gmail.com>
+ * @license MIT
+ * @see {@link https://docs.python.org/3/reference/grammar.html|Python 3 grammar}
+ */
+
+
+/// <reference types="tree-sitter-cli/dsl" />
+// @ts-check
+
+const Python = require('../grammar');
+
+const PYTHON2_STATEMENTS = ['print_statement', 'exec_statement'];
+
+const PYTHON2_EXPRESSIONS = ['repr_expression', 'legacy_octal'];
+
+module.exports = grammar(Python, {
+  name: 'python3',
+
+  conflicts: ($, original) => original.filter(
+    (conflict) => !conflict.some((rule) => PYTHON2_STATEMENTS.includes(rule.name)),
+  ),
+
+  rules: {
+    _simple_statement: (_, original) => choice(
+      ...original.members.filter((rule) => !PYTHON2_STATEMENTS.includes(rule.name)),
+    ),
+
+    primary_expression: (_, original) => choice(
+      ...original.members.filter((rule) => !PYTHON2_EXPRESSIONS.includes(rule.name)),
+    ),
+
+    // A comma separates the exception types (PEP 758) rather than
+    // introducing the name of the exception, like `except X, e` does in
+    // Python 2.
+    except_clause: ($, original) => {
+      const [keyword, exception, ...rest] = original.members;
+      return seq(
+        keyword,
+        optional(choice(
+          ...without(exception, 'STRING', ',').members.filter((rule) => rule.type !== 'BLANK'),
+          field('value', $.expression_list),
+        )),
+        ...rest,
+      );
+    },
+
+    // `<>` is the Python 2 spelling of `!=`.
+    comparison_operator: (_, original) => without(original, 'STRING', '<>'),
+
+    // The `l` suffix of Python 2 long integers is gone.
+    integer: (_, original) => without(original, 'PATTERN', '[Ll]'),
+
+    // `print` and `exec` are ordinary identifiers in Python 3.
+    keyword_identifier: $ => choice(
+      prec(-3, alias(
+        choice(
+          'async',
+          'await',
+        ),
+        $.identifier,
+      )),
+      alias(
+        choice('type', 'match'),
+        $.identifier,
+      ),
+    ),
+  },
+});
+
+/**
+ * Removes a string or a pattern from the choices of a rule, at any depth
+ *
+ * @param {Rule} rule
+ *
+ * @param {'STRING' | 'PATTERN'} type
+ *
+ * @param {string} value
+ *
+ * @returns {Rule}
+ */
+function without(rule, type, value) {
+  if (rule.type === 'CHOICE') {
+    return choice(...rule.members
+      .filter((member) => !(member.type === type && member.value === value))
+      .map((member) => without(member, type, value)));
+  }
+  if ('members' in rule) {
+    return {...rule, members: rule.members.map((member) => without(member, type, value))};
+  }
+  if ('content' in rule) {
+    return {...rule, content: without(rule.content, type, value)};
+  }
+  return rule;
+}
@@ -0,0 +1,9 @@
+// The Python 3 grammar shares the external scanner of the Python grammar.
+
+#define tree_sitter_python_external_scanner_create tree_sitter_python3_external_scanner_create
+#define tree_sitter_python_external_scanner_destroy tree_sitter_python3_external_scanner_destroy
+#define tree_sitter_python_external_scanner_scan tree_sitter_python3_external_scanner_scan
+#define tree_sitter_python_external_scanner_serialize tree_sitter_python3_external_scanner_serialize
+#define tree_sitter_python_external_scanner_deserialize tree_sitter_python3_external_scanner_deserialize
+
+#include "../../src/scanner.c"
@@ -0,0 +1,30 @@
+; Blocks fold below the line that introduces them
+
+(block) @fold
+
+[
+  (decorated_definition)
+  (match_statement)
+  (import_from_statement)
+] @fold
+
+; Brackets
+
+[
+  (parameters)
+  (argument_list)
+  (parenthesized_expression)
+  (tuple)
+  (list)
+  (set)
+  (dictionary)
+  (list_comprehension)
+  (set_comprehension)
+  (dictionary_comprehension)
+  (generator_expression)
+] @fold
+
+; Triple-quoted strings
+
+(string
+  triple_quote: (string_start)) @fold
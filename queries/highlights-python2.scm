@@ -0,0 +1,13 @@
+; Python 2 constructs, which the python3 grammar does not have
+
+"<>" @operator
+
+[
+  "exec"
+  "print"
+] @keyword
+
+(legacy_octal) @number
+
+(repr_expression
+  "`" @punctuation.special)
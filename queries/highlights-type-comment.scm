@@ -0,0 +1,34 @@
+; Type comments, which queries/injections.scm injects into Python comments.
+; Most types parse as expressions, so every identifier names a type or a
+; module.
+
+(identifier) @type
+
+(none) @constant.builtin
+
+(string) @string
+
+(error_code) @constant
+
+"# type:" @comment
+
+"ignore" @keyword
+
+[
+  "*"
+  "**"
+  "->"
+  "|"
+] @operator
+
+[
+  "("
+  ")"
+  "["
+  "]"
+] @punctuation.bracket
+
+[
+  ","
+  "."
+] @punctuation.delimiter
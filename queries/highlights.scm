@@ -32,9 +32,51 @@
 (function_definition
   name: (identifier) @function)
 
+; Parameters
+
+(parameters
+  (identifier) @variable.parameter)
+
+(lambda_parameters
+  (identifier) @variable.parameter)
+
+(default_parameter
+  name: (identifier) @variable.parameter)
+
+(typed_parameter
+  (identifier) @variable.parameter)
+
+(typed_default_parameter
+  name: (identifier) @variable.parameter)
+
+(parameters
+  [
+    (list_splat_pattern
+      (identifier) @variable.parameter)
+    (dictionary_splat_pattern
+      (identifier) @variable.parameter)
+  ])
+
+(typed_parameter
+  [
+    (list_splat_pattern
+      (identifier) @variable.parameter)
+    (dictionary_splat_pattern
+      (identifier) @variable.parameter)
+  ])
+
 (attribute attribute: (identifier) @property)
 (type (identifier) @type)
 
+[
+  (typevar_parameter
+    name: (identifier) @type)
+  (typevartuple_parameter
+    name: (identifier) @type)
+  (paramspec_parameter
+    name: (identifier) @type)
+]
+
 ; Literals
 
 [
@@ -49,7 +91,10 @@
 ] @number
 
 (comment) @comment
-(string) @string
+[
+  (string)
+  (template_string)
+] @string
 (escape_sequence) @escape
 
 (interpolation
@@ -81,7 +126,6 @@
   "<<"
   "<<="
   "<="
-  "<>"
   "="
   ":="
   "=="
@@ -115,7 +159,6 @@
   "elif"
   "else"
   "except"
-  "exec"
   "finally"
   "for"
   "from"
@@ -125,7 +168,6 @@
   "lambda"
   "nonlocal"
   "pass"
-  "print"
   "raise"
   "return"
   "try"
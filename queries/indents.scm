@@ -0,0 +1,65 @@
+; Compound statements indent their suite
+
+[
+  (if_statement)
+  (elif_clause)
+  (else_clause)
+  (for_statement)
+  (while_statement)
+  (try_statement)
+  (except_clause)
+  (except_group_clause)
+  (finally_clause)
+  (with_statement)
+  (function_definition)
+  (class_definition)
+  (match_statement)
+  (case_clause)
+] @indent.begin
+
+[
+  "elif"
+  "else"
+  "except"
+  "except*"
+  "finally"
+  "case"
+] @indent.branch
+
+; Statements that end a block dedent the next line
+
+[
+  (return_statement)
+  (pass_statement)
+  (break_statement)
+  (continue_statement)
+  (raise_statement)
+] @indent.dedent
+
+; Brackets
+
+[
+  (parameters)
+  (argument_list)
+  (parenthesized_expression)
+  (tuple)
+  (list)
+  (set)
+  (dictionary)
+  (list_comprehension)
+  (set_comprehension)
+  (dictionary_comprehension)
+  (generator_expression)
+  (subscript)
+  (import_from_statement)
+] @indent.begin
+
+[
+  ")"
+  "]"
+  "}"
+] @indent.branch @indent.end
+
+; Leave the contents of strings alone
+
+(string) @indent.auto
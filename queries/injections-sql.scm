@@ -0,0 +1,14 @@
+; SQL passed to DB-API cursors
+;
+; Not every `execute` call takes SQL, so this query is not registered in
+; tree-sitter.json. Add it to your editor's injection queries to opt in.
+
+((call
+  function: (attribute
+    attribute: (identifier) @_function)
+  arguments: (argument_list
+    .
+    (string
+      (string_content) @injection.content)))
+  (#match? @_function "^(execute|executemany)$")
+  (#set! injection.language "sql"))
@@ -0,0 +1,74 @@
+; Regular expressions passed to the `re` module
+
+((call
+  function: (attribute
+    object: (identifier) @_module
+    attribute: (identifier) @_function)
+  arguments: (argument_list
+    .
+    (string
+      (string_content) @injection.content)))
+  (#eq? @_module "re")
+  (#match? @_function "^(compile|search|match|fullmatch|split|findall|finditer|sub|subn)$")
+  (#set! injection.language "regex"))
+
+; Docstrings, as Markdown when they have a fenced code block or a heading,
+; and as reStructuredText otherwise
+
+(module
+  .
+  (expression_statement
+    (string
+      (string_content) @injection.content)
+    (#match? @injection.content "(^|\n)[ \t]*(```|#+[ \t])")
+    (#set! injection.language "markdown")))
+
+(function_definition
+  body: (block
+    .
+    (expression_statement
+      (string
+        (string_content) @injection.content)
+      (#match? @injection.content "(^|\n)[ \t]*(```|#+[ \t])")
+      (#set! injection.language "markdown"))))
+
+(class_definition
+  body: (block
+    .
+    (expression_statement
+      (string
+        (string_content) @injection.content)
+      (#match? @injection.content "(^|\n)[ \t]*(```|#+[ \t])")
+      (#set! injection.language "markdown"))))
+
+(module
+  .
+  (expression_statement
+    (string
+      (string_content) @injection.content)
+    (#not-match? @injection.content "(^|\n)[ \t]*(```|#+[ \t])")
+    (#set! injection.language "rst")))
+
+(function_definition
+  body: (block
+    .
+    (expression_statement
+      (string
+        (string_content) @injection.content)
+      (#not-match? @injection.content "(^|\n)[ \t]*(```|#+[ \t])")
+      (#set! injection.language "rst"))))
+
+(class_definition
+  body: (block
+    .
+    (expression_statement
+      (string
+        (string_content) @injection.content)
+      (#not-match? @injection.content "(^|\n)[ \t]*(```|#+[ \t])")
+      (#set! injection.language "rst"))))
+
+; Type comments (PEP 484), parsed by the grammar in type_comment/
+
+((comment) @injection.content
+  (#match? @injection.content "^#[ \t]*type[ \t]*:")
+  (#set! injection.language "python_type_comment"))
@@ -0,0 +1,19 @@
+; Python 2 constructs, which the python3 grammar does not have
+
+; `except E, e`
+
+(except_clause
+  alias: (identifier) @local.definition)
+
+; References
+
+[
+  (chevron
+    (identifier) @local.reference)
+  (exec_statement
+    (identifier) @local.reference)
+  (print_statement
+    (identifier) @local.reference)
+  (repr_expression
+    (identifier) @local.reference)
+]
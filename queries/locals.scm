@@ -0,0 +1,248 @@
+; Scopes
+
+[
+  (module)
+  (function_definition)
+  (class_definition)
+  (lambda)
+  (list_comprehension)
+  (dictionary_comprehension)
+  (set_comprehension)
+  (generator_expression)
+] @local.scope
+
+; Parameters
+
+(parameters
+  (identifier) @local.definition)
+
+(lambda_parameters
+  (identifier) @local.definition)
+
+(default_parameter
+  name: (identifier) @local.definition)
+
+(typed_parameter
+  (identifier) @local.definition)
+
+(typed_default_parameter
+  name: (identifier) @local.definition)
+
+(parameters
+  [
+    (list_splat_pattern
+      (identifier) @local.definition)
+    (dictionary_splat_pattern
+      (identifier) @local.definition)
+  ])
+
+(lambda_parameters
+  [
+    (list_splat_pattern
+      (identifier) @local.definition)
+    (dictionary_splat_pattern
+      (identifier) @local.definition)
+  ])
+
+(typed_parameter
+  [
+    (list_splat_pattern
+      (identifier) @local.definition)
+    (dictionary_splat_pattern
+      (identifier) @local.definition)
+  ])
+
+; Type parameters
+
+[
+  (typevar_parameter
+    name: (identifier) @local.definition)
+  (typevartuple_parameter
+    name: (identifier) @local.definition)
+  (paramspec_parameter
+    name: (identifier) @local.definition)
+]
+
+; Assignments
+
+(assignment
+  left: (identifier) @local.definition)
+
+(assignment
+  left: [
+    (pattern_list
+      (identifier) @local.definition)
+    (tuple_pattern
+      (identifier) @local.definition)
+    (list_pattern
+      (identifier) @local.definition)
+  ])
+
+(named_expression
+  name: (identifier) @local.definition)
+
+; Loops and comprehensions
+
+(for_statement
+  left: (identifier) @local.definition)
+
+(for_statement
+  left: (pattern_list
+    (identifier) @local.definition))
+
+(for_in_clause
+  left: (identifier) @local.definition)
+
+(for_in_clause
+  left: (pattern_list
+    (identifier) @local.definition))
+
+; `with ... as x` and `except ... as x`
+
+(as_pattern
+  alias: (as_pattern_target
+    (identifier) @local.definition))
+
+; Imports
+
+(aliased_import
+  alias: (identifier) @local.definition)
+
+(import_statement
+  name: (dotted_name
+    .
+    (identifier) @local.definition))
+
+(import_from_statement
+  name: (dotted_name
+    (identifier) @local.definition))
+
+; Scope declarations
+
+(global_statement
+  (identifier) @local.definition)
+
+(nonlocal_statement
+  (identifier) @local.definition)
+
+; References
+;
+; An identifier is a reference where it is an expression, but not where it
+; names an attribute, a keyword argument or a module.
+
+(attribute
+  object: (identifier) @local.reference)
+
+[
+  (keyword_argument
+    value: (identifier) @local.reference)
+  (default_parameter
+    value: (identifier) @local.reference)
+  (typed_default_parameter
+    value: (identifier) @local.reference)
+  (named_expression
+    value: (identifier) @local.reference)
+]
+
+[
+  (argument_list
+    (identifier) @local.reference)
+  (as_pattern
+    (identifier) @local.reference)
+  (assert_statement
+    (identifier) @local.reference)
+  (assignment
+    (identifier) @local.reference)
+  (augmented_assignment
+    (identifier) @local.reference)
+  (await
+    (identifier) @local.reference)
+  (binary_operator
+    (identifier) @local.reference)
+  (boolean_operator
+    (identifier) @local.reference)
+  (call
+    (identifier) @local.reference)
+  (comparison_operator
+    (identifier) @local.reference)
+  (conditional_expression
+    (identifier) @local.reference)
+  (decorator
+    (identifier) @local.reference)
+  (delete_statement
+    (identifier) @local.reference)
+  (dictionary_splat
+    (identifier) @local.reference)
+  (elif_clause
+    (identifier) @local.reference)
+  (except_clause
+    (identifier) @local.reference)
+  (except_group_clause
+    (identifier) @local.reference)
+  (expression_list
+    (identifier) @local.reference)
+  (expression_statement
+    (identifier) @local.reference)
+  (for_in_clause
+    (identifier) @local.reference)
+  (for_statement
+    (identifier) @local.reference)
+  (format_expression
+    (identifier) @local.reference)
+  (generator_expression
+    (identifier) @local.reference)
+  (generic_type
+    (identifier) @local.reference)
+  (if_clause
+    (identifier) @local.reference)
+  (if_statement
+    (identifier) @local.reference)
+  (interpolation
+    (identifier) @local.reference)
+  (lambda
+    (identifier) @local.reference)
+  (list
+    (identifier) @local.reference)
+  (list_comprehension
+    (identifier) @local.reference)
+  (list_pattern
+    (identifier) @local.reference)
+  (list_splat
+    (identifier) @local.reference)
+  (match_statement
+    (identifier) @local.reference)
+  (not_operator
+    (identifier) @local.reference)
+  (pair
+    (identifier) @local.reference)
+  (parenthesized_expression
+    (identifier) @local.reference)
+  (pattern_list
+    (identifier) @local.reference)
+  (raise_statement
+    (identifier) @local.reference)
+  (return_statement
+    (identifier) @local.reference)
+  (set
+    (identifier) @local.reference)
+  (set_comprehension
+    (identifier) @local.reference)
+  (slice
+    (identifier) @local.reference)
+  (subscript
+    (identifier) @local.reference)
+  (tuple
+    (identifier) @local.reference)
+  (tuple_pattern
+    (identifier) @local.reference)
+  (type
+    (identifier) @local.reference)
+  (unary_operator
+    (identifier) @local.reference)
+  (while_statement
+    (identifier) @local.reference)
+  (with_item
+    (identifier) @local.reference)
+  (yield
+    (identifier) @local.reference)
+]
@@ -1,11 +1,94 @@
 (module (expression_statement (assignment left: (identifier) @name) @definition.constant))
 
+; Methods are functions defined directly in a class body. Patterns that
+; capture a docstring come first, so that they take precedence.
+
+(class_definition
+  body: (block
+    [
+      (function_definition
+        name: (identifier) @name
+        body: (block
+          .
+          (expression_statement
+            (string
+              (string_content) @doc)))) @definition.method
+      (decorated_definition
+        definition: (function_definition
+          name: (identifier) @name
+          body: (block
+            .
+            (expression_statement
+              (string
+                (string_content) @doc)))) @definition.method)
+    ]))
+
+(class_definition
+  body: (block
+    [
+      (function_definition
+        name: (identifier) @name) @definition.method
+      (decorated_definition
+        definition: (function_definition
+          name: (identifier) @name) @definition.method)
+    ]))
+
+(class_definition
+  name: (identifier) @name
+  body: (block
+    .
+    (expression_statement
+      (string
+        (string_content) @doc)))) @definition.class
+
 (class_definition
   name: (identifier) @name) @definition.class
 
+(function_definition
+  name: (identifier) @name
+  body: (block
+    .
+    (expression_statement
+      (string
+        (string_content) @doc)))) @definition.function
+
 (function_definition
   name: (identifier) @name) @definition.function
 
+; Superclasses and class patterns
+
+(class_definition
+  superclasses: (argument_list
+    [
+      (identifier) @name
+      (attribute
+        attribute: (identifier) @name)
+    ] @reference.class))
+
+(class_pattern
+  (dotted_name
+    (identifier) @name .)) @reference.class
+
+; Imports
+
+(import_statement
+  name: (dotted_name) @name @reference.module)
+
+(import_statement
+  name: (aliased_import
+    name: (dotted_name) @name @reference.module))
+
+(import_statement
+  name: (aliased_import
+    alias: (identifier) @name @definition.module))
+
+(import_from_statement
+  module_name: [
+    (dotted_name) @name
+    (relative_import
+      (dotted_name) @name)
+  ] @reference.module)
+
 (call
   function: [
       (identifier) @name
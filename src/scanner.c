@@ -11,6 +11,12 @@ enum TokenType {
     INDENT,
     DEDENT,
     STRING_START,
+    TRIPLE_STRING_START,
+    RAW_PREFIX,
+    BYTES_PREFIX,
+    FORMAT_PREFIX,
+    TEMPLATE_PREFIX,
+    UNICODE_PREFIX,
     STRING_CONTENT,
     ESCAPE_INTERPOLATION,
     STRING_END,
@@ -19,20 +25,23 @@ enum TokenType {
     CLOSE_BRACKET,
     CLOSE_BRACE,
     EXCEPT,
+    FILL,
+    INCONSISTENT_INDENTATION,
 };
 
 typedef enum {
     SingleQuote = 1 << 0,
     DoubleQuote = 1 << 1,
-    BackQuote = 1 << 2,
+    Unicode = 1 << 2,
     Raw = 1 << 3,
     Format = 1 << 4,
     Triple = 1 << 5,
     Bytes = 1 << 6,
+    Template = 1 << 7,
 } Flags;
 
 typedef struct {
-    char flags;
+    uint8_t flags;
 } Delimiter;
 
 static inline Delimiter new_delimiter() { return (Delimiter){0}; }
@@ -45,6 +54,13 @@ static inline bool is_triple(Delimiter *delimiter) { return delimiter->flags & T
 
 static inline bool is_bytes(Delimiter *delimiter) { return delimiter->flags & Bytes; }
 
+static inline bool is_unicode(Delimiter *delimiter) { return delimiter->flags & Unicode; }
+
+static inline bool is_template(Delimiter *delimiter) { return delimiter->flags & Template; }
+
+// Both f-strings and t-strings contain interpolations and escape their braces.
+static inline bool has_interpolations(Delimiter *delimiter) { return is_format(delimiter) || is_template(delimiter); }
+
 static inline int32_t end_character(Delimiter *delimiter) {
     if (delimiter->flags & SingleQuote) {
         return '\'';
@@ -52,20 +68,11 @@ static inline int32_t end_character(Delimiter *delimiter) {
     if (delimiter->flags & DoubleQuote) {
         return '"';
     }
-    if (delimiter->flags & BackQuote) {
-        return '`';
-    }
     return 0;
 }
 
-static inline void set_format(Delimiter *delimiter) { delimiter->flags |= Format; }
-
-static inline void set_raw(Delimiter *delimiter) { delimiter->flags |= Raw; }
-
 static inline void set_triple(Delimiter *delimiter) { delimiter->flags |= Triple; }
 
-static inline void set_bytes(Delimiter *delimiter) { delimiter->flags |= Bytes; }
-
 static inline void set_end_character(Delimiter *delimiter, int32_t character) {
     switch (character) {
         case '\'':
@@ -74,35 +81,93 @@ static inline void set_end_character(Delimiter *delimiter, int32_t character) {
         case '"':
             delimiter->flags |= DoubleQuote;
             break;
-        case '`':
-            delimiter->flags |= BackQuote;
-            break;
         default:
             assert(false);
     }
 }
 
+// CPython measures each indentation twice, with tabs to the next multiple of 8
+// columns and with tabs as a single column, and raises a TabError when the two
+// measures disagree on whether a line is indented more, less or as much as
+// its block.
+typedef struct {
+    uint16_t length;
+    uint16_t alt_length;
+} Indent;
+
 typedef struct {
-    Array(uint16_t) indents;
+    Array(Indent) indents;
     Array(Delimiter) delimiters;
-    bool inside_f_string;
+    Delimiter prefix;
+    // Set by an indent that a tab makes inconsistent, until the marker is
+    // returned after it.
+    bool inconsistent_indent;
 } Scanner;
 
+// Since PEP 701, the replacement fields of an f-string can contain strings
+// that reuse its quotes, comments and line breaks, so the scanner is inside an
+// f-string as long as any of the open strings has interpolations, not only the
+// innermost one.
+static inline bool inside_interpolated_string(Scanner *scanner) {
+    for (uint32_t i = 0; i < scanner->delimiters.size; i++) {
+        if (has_interpolations(array_get(&scanner->delimiters, i))) {
+            return true;
+        }
+    }
+    return false;
+}
+
+static inline int compare(uint16_t a, uint16_t b) { return (a > b) - (a < b); }
+
 static inline void advance(TSLexer *lexer) { lexer->advance(lexer, false); }
 
 static inline void skip(TSLexer *lexer) { lexer->advance(lexer, true); }
 
+// Checks whether the next word is `def` or `class`, which can't be part of an
+// expression.
+static bool at_definition_keyword(TSLexer *lexer) {
+    const char *keyword = lexer->lookahead == 'd' ? "def" : lexer->lookahead == 'c' ? "class" : NULL;
+    if (keyword == NULL) {
+        return false;
+    }
+    for (; *keyword; keyword++) {
+        if (lexer->lookahead != *keyword) {
+            return false;
+        }
+        advance(lexer);
+    }
+    return lexer->lookahead == ' ' || lexer->lookahead == '\t';
+}
+
 bool tree_sitter_python_external_scanner_scan(void *payload, TSLexer *lexer, const bool *valid_symbols) {
     Scanner *scanner = (Scanner *)payload;
 
+    // The prefix flags only carry over to the token that directly follows
+    // the prefix letters.
+    Delimiter prefix = scanner->prefix;
+    scanner->prefix = new_delimiter();
+
     bool error_recovery_mode = valid_symbols[STRING_CONTENT] && valid_symbols[INDENT];
     bool within_brackets = valid_symbols[CLOSE_BRACE] || valid_symbols[CLOSE_PAREN] || valid_symbols[CLOSE_BRACKET];
 
+    // A character is the fill of a format specifier only if an alignment
+    // follows it, as in `{value:*^10}`.
+    if (valid_symbols[FILL] && !error_recovery_mode && lexer->lookahead != '{' && lexer->lookahead != '}' &&
+        lexer->lookahead != '\r' && lexer->lookahead != '\n' && !lexer->eof(lexer)) {
+        advance(lexer);
+        lexer->mark_end(lexer);
+        if (lexer->lookahead == '<' || lexer->lookahead == '>' || lexer->lookahead == '=' || lexer->lookahead == '^') {
+            lexer->result_symbol = FILL;
+            return true;
+        }
+        return false;
+    }
+
     bool advanced_once = false;
     if (valid_symbols[ESCAPE_INTERPOLATION] && scanner->delimiters.size > 0 &&
         (lexer->lookahead == '{' || lexer->lookahead == '}') && !error_recovery_mode) {
         Delimiter *delimiter = array_back(&scanner->delimiters);
-        if (is_format(delimiter)) {
+        if (has_interpolations(delimiter)) {
             lexer->mark_end(lexer);
             bool is_left_brace = lexer->lookahead == '{';
             advance(lexer);
@@ -122,15 +187,24 @@ bool tree_sitter_python_external_scanner_scan(void *payload, TSLexer *lexer, con
         int32_t end_char = end_character(delimiter);
         bool has_content = advanced_once;
         while (lexer->lookahead) {
-            if ((advanced_once || lexer->lookahead == '{' || lexer->lookahead == '}') && is_format(delimiter)) {
+            if ((advanced_once || lexer->lookahead == '{' || lexer->lookahead == '}') && has_interpolations(delimiter)) {
                 lexer->mark_end(lexer);
                 lexer->result_symbol = STRING_CONTENT;
                 return has_content;
             }
             if (lexer->lookahead == '\\') {
                 if (is_raw(delimiter)) {
+                    if (is_unicode(delimiter)) {
+                        lexer->mark_end(lexer);
+                    }
                     // Step over the backslash.
                     advance(lexer);
+                    // Python 2 still decodes \uXXXX and \UXXXXXXXX in raw
+                    // unicode strings, like ur"\u00e9".
+                    if (is_unicode(delimiter) && (lexer->lookahead == 'u' || lexer->lookahead == 'U')) {
+                        lexer->result_symbol = STRING_CONTENT;
+                        return has_content;
+                    }
                     // Step over any escaped quotes.
                     if (lexer->lookahead == end_character(delimiter) || lexer->lookahead == '\\') {
                         advance(lexer);
@@ -144,6 +218,7 @@ bool tree_sitter_python_external_scanner_scan(void *payload, TSLexer *lexer, con
                     } else if (lexer->lookahead == '\n') {
                         advance(lexer);
                     }
+                    has_content = true;
                     continue;
                 }
                 if (is_bytes(delimiter)) {
@@ -177,7 +252,6 @@ bool tree_sitter_python_external_scanner_scan(void *payload, TSLexer *lexer, con
                                 lexer->mark_end(lexer);
                                 array_pop(&scanner->delimiters);
                                 lexer->result_symbol = STRING_END;
-                                scanner->inside_f_string = false;
                             }
                             return true;
                         }
@@ -195,37 +269,55 @@ bool tree_sitter_python_external_scanner_scan(void *payload, TSLexer *lexer, con
                     advance(lexer);
                     array_pop(&scanner->delimiters);
                     lexer->result_symbol = STRING_END;
-                    scanner->inside_f_string = false;
                 }
                 lexer->mark_end(lexer);
                 return true;
 
-            } else if (lexer->lookahead == '\n' && has_content && !is_triple(delimiter)) {
-                return false;
+            } else if ((lexer->lookahead == '\r' || lexer->lookahead == '\n') && !is_triple(delimiter)) {
+                // A line break ends a string that isn't closed, so that the
+                // next line is still parsed as code.
+                if (has_content) {
+                    lexer->mark_end(lexer);
+                    lexer->result_symbol = STRING_CONTENT;
+                    return true;
+                }
+                break;
             }
             advance(lexer);
             has_content = true;
         }
+        // The same goes for a string that is still open at the end of the
+        // file.
+        if (has_content) {
+            lexer->mark_end(lexer);
+            lexer->result_symbol = STRING_CONTENT;
+            return true;
+        }
     }
 
     lexer->mark_end(lexer);
 
     bool found_end_of_line = false;
     uint16_t indent_length = 0;
+    uint16_t alt_indent_length = 0;
     int32_t first_comment_indent_length = -1;
     for (;;) {
         if (lexer->lookahead == '\n') {
             found_end_of_line = true;
             indent_length = 0;
+            alt_indent_length = 0;
             skip(lexer);
         } else if (lexer->lookahead == ' ') {
             indent_length++;
+            alt_indent_length++;
             skip(lexer);
         } else if (lexer->lookahead == '\r' || lexer->lookahead == '\f') {
             indent_length = 0;
+            alt_indent_length = 0;
             skip(lexer);
         } else if (lexer->lookahead == '\t') {
-            indent_length += 8;
+            indent_length = (indent_length / 8 + 1) * 8;
+            alt_indent_length++;
             skip(lexer);
         } else if (lexer->lookahead == '#' && (valid_symbols[INDENT] || valid_symbols[DEDENT] ||
                                                valid_symbols[NEWLINE] || valid_symbols[EXCEPT])) {
@@ -245,6 +337,7 @@ bool tree_sitter_python_external_scanner_scan(void *payload, TSLexer *lexer, con
             }
             skip(lexer);
             indent_length = 0;
+            alt_indent_length = 0;
         } else if (lexer->lookahead == '\\') {
             skip(lexer);
             if (lexer->lookahead == '\r') {
@@ -257,6 +350,7 @@ bool tree_sitter_python_external_scanner_scan(void *payload, TSLexer *lexer, con
             }
         } else if (lexer->eof(lexer)) {
             indent_length = 0;
+            alt_indent_length = 0;
             found_end_of_line = true;
             break;
         } else {
@@ -265,22 +359,35 @@ bool tree_sitter_python_external_scanner_scan(void *payload, TSLexer *lexer, con
     }
 
     if (found_end_of_line) {
+        // Python ends the statement at a line break that can't continue it,
+        // such as one in an unclosed string. Returning a newline there lets
+        // the parser insert the missing quote, and keeps the next lines out
+        // of the error.
+        if (valid_symbols[STRING_END] && !error_recovery_mode && scanner->delimiters.size > 0 &&
+            (lexer->eof(lexer) || !is_triple(array_back(&scanner->delimiters)))) {
+            array_pop(&scanner->delimiters);
+            lexer->result_symbol = NEWLINE;
+            return true;
+        }
+
         if (scanner->indents.size > 0) {
-            uint16_t current_indent_length = *array_back(&scanner->indents);
+            Indent current_indent = *array_back(&scanner->indents);
+            uint16_t current_indent_length = current_indent.length;
 
             if (valid_symbols[INDENT] && indent_length > current_indent_length) {
-                array_push(&scanner->indents, indent_length);
+                scanner->inconsistent_indent = alt_indent_length <= current_indent.alt_length;
+                array_push(&scanner->indents, ((Indent){indent_length, alt_indent_length}));
                 lexer->result_symbol = INDENT;
                 return true;
             }
 
             bool next_tok_is_string_start =
-                lexer->lookahead == '\"' || lexer->lookahead == '\'' || lexer->lookahead == '`';
+                lexer->lookahead == '\"' || lexer->lookahead == '\'';
 
             if ((valid_symbols[DEDENT] ||
                  (!valid_symbols[NEWLINE] && !(valid_symbols[STRING_START] && next_tok_is_string_start) &&
                   !within_brackets)) &&
-                indent_length < current_indent_length && !scanner->inside_f_string &&
+                indent_length < current_indent_length && !inside_interpolated_string(scanner) &&
 
                 // Wait to create a dedent token until we've consumed any
                 // comments
@@ -296,31 +403,90 @@ bool tree_sitter_python_external_scanner_scan(void *payload, TSLexer *lexer, con
             lexer->result_symbol = NEWLINE;
             return true;
         }
-    }
 
-    if (first_comment_indent_length == -1 && valid_symbols[STRING_START]) {
-        Delimiter delimiter = new_delimiter();
+        // Neither can a definition continue a statement, so a newline before
+        // one in an unclosed bracket lets the parser insert the missing
+        // bracket.
+        if (within_brackets && !error_recovery_mode && at_definition_keyword(lexer)) {
+            lexer->result_symbol = NEWLINE;
+            return true;
+        }
+
+        // Once the indents and dedents of a line are returned, the line is
+        // marked if its indentation is inconsistent with its block. Only the
+        // lines that start a statement are checked, as the others can be
+        // indented in any way, and the comments before the line are left to
+        // be lexed first.
+        if (valid_symbols[INCONSISTENT_INDENTATION] && first_comment_indent_length == -1 &&
+            scanner->indents.size > 0) {
+            Indent current_indent = *array_back(&scanner->indents);
+            if (scanner->inconsistent_indent ||
+                (valid_symbols[DEDENT] && !error_recovery_mode &&
+                 compare(indent_length, current_indent.length) !=
+                     compare(alt_indent_length, current_indent.alt_length))) {
+                scanner->inconsistent_indent = false;
+                lexer->mark_end(lexer);
+                lexer->result_symbol = INCONSISTENT_INDENTATION;
+                return true;
+            }
+        }
+    }
 
-        bool has_flags = false;
+    // A template string can only be followed by another one, which always
+    // starts with a prefix, so no string start is valid between them.
+    if (first_comment_indent_length == -1 &&
+        (valid_symbols[STRING_START] || valid_symbols[TRIPLE_STRING_START] || valid_symbols[TEMPLATE_PREFIX])) {
+        // Each prefix letter is returned as its own token, so that the tree
+        // records which flags a string has. The flags are kept in
+        // `scanner->prefix` until the opening quote is reached.
+        enum TokenType prefix_symbol = STRING_START;
+        Flags prefix_flag = 0;
+        bool has_prefix = false;
         while (lexer->lookahead) {
+            enum TokenType symbol;
+            Flags flag = 0;
             if (lexer->lookahead == 'f' || lexer->lookahead == 'F') {
-                set_format(&delimiter);
+                symbol = FORMAT_PREFIX;
+                flag = Format;
             } else if (lexer->lookahead == 'r' || lexer->lookahead == 'R') {
-                set_raw(&delimiter);
+                symbol = RAW_PREFIX;
+                flag = Raw;
             } else if (lexer->lookahead == 'b' || lexer->lookahead == 'B') {
-                set_bytes(&delimiter);
-            } else if (lexer->lookahead != 'u' && lexer->lookahead != 'U') {
+                symbol = BYTES_PREFIX;
+                flag = Bytes;
+            } else if (lexer->lookahead == 't' || lexer->lookahead == 'T') {
+                symbol = TEMPLATE_PREFIX;
+                flag = Template;
+            } else if (lexer->lookahead == 'u' || lexer->lookahead == 'U') {
+                symbol = UNICODE_PREFIX;
+                flag = Unicode;
+            } else {
                 break;
             }
-            has_flags = true;
             advance(lexer);
+            if (!has_prefix) {
+                lexer->mark_end(lexer);
+                prefix_symbol = symbol;
+                prefix_flag = flag;
+                has_prefix = true;
+            }
         }
 
-        if (lexer->lookahead == '`') {
-            set_end_character(&delimiter, '`');
-            advance(lexer);
-            lexer->mark_end(lexer);
-        } else if (lexer->lookahead == '\'') {
+        bool next_tok_is_quote = lexer->lookahead == '\"' || lexer->lookahead == '\'';
+
+        if (has_prefix) {
+            // A run of prefix letters is an identifier unless a quote follows.
+            if (!next_tok_is_quote || !valid_symbols[prefix_symbol]) {
+                return false;
+            }
+            scanner->prefix.flags = prefix.flags | prefix_flag;
+            lexer->result_symbol = prefix_symbol;
+            return true;
+        }
+
+        Delimiter delimiter = prefix;
+
+        if (lexer->lookahead == '\'') {
             set_end_character(&delimiter, '\'');
             advance(lexer);
             lexer->mark_end(lexer);
@@ -347,42 +513,140 @@ bool tree_sitter_python_external_scanner_scan(void *payload, TSLexer *lexer, con
         }
 
         if (end_character(&delimiter)) {
+            enum TokenType symbol = is_triple(&delimiter) ? TRIPLE_STRING_START : STRING_START;
+            if (!valid_symbols[symbol]) {
+                return false;
+            }
             array_push(&scanner->delimiters, delimiter);
-            lexer->result_symbol = STRING_START;
-            scanner->inside_f_string = is_format(&delimiter);
+            lexer->result_symbol = symbol;
             return true;
         }
-        if (has_flags) {
-            return false;
-        }
     }
 
     return false;
 }
 
+// The state is serialized compactly, so that deeply nested code fits in the
+// buffer:
+//
+// - the prefix flags and the inconsistent indent flag, one byte each;
+// - the size in bytes of the delimiters, then the flags of each run of equal
+//   delimiters, written twice and followed by the length of the run minus two
+//   if the run is longer than one;
+// - for each run of indents that are deeper than the previous one by the same
+//   amount, the difference shifted left by two, with the second bit set if
+//   the length of the run minus two follows and the first bit set if the
+//   difference of the alternative lengths follows, until the end.
+//
+// A single delimiter or indent thus mostly takes a single byte. Numbers are
+// written 7 bits at a time, least significant first, with the high bit set on
+// every byte but the last. Differences of the alternative lengths can be
+// negative, so their sign is moved to the lowest bit.
+
+// The most bytes taken by a number up to UINT16_MAX.
+#define MAX_NUMBER_SIZE 3
+
+static inline unsigned number_size(uint32_t value) {
+    unsigned size = 1;
+    for (; value >= 0x80; value >>= 7) {
+        size++;
+    }
+    return size;
+}
+
+static inline unsigned write_number(char *buffer, unsigned size, uint32_t value) {
+    while (value >= 0x80) {
+        buffer[size++] = (char)((value & 0x7F) | 0x80);
+        value >>= 7;
+    }
+    buffer[size++] = (char)value;
+    return size;
+}
+
+static inline uint32_t read_number(const char *buffer, unsigned length, unsigned *size) {
+    uint32_t value = 0;
+    for (unsigned shift = 0; *size < length && shift < 32; shift += 7) {
+        uint8_t byte = (uint8_t)buffer[(*size)++];
+        value |= (uint32_t)(byte & 0x7F) << shift;
+        if (!(byte & 0x80)) {
+            break;
+        }
+    }
+    return value;
+}
+
+static inline uint32_t delimiter_run_length(Scanner *scanner, uint32_t start) {
+    uint32_t end = start + 1;
+    while (end < scanner->delimiters.size &&
+           array_get(&scanner->delimiters, end)->flags == array_get(&scanner->delimiters, start)->flags) {
+        end++;
+    }
+    return end - start;
+}
+
+static inline uint32_t encode_difference(int32_t difference) {
+    return ((uint32_t)difference << 1) ^ (uint32_t)(difference >> 31);
+}
+
+static inline int32_t decode_difference(uint32_t value) { return (int32_t)(value >> 1) ^ -(int32_t)(value & 1); }
+
 unsigned tree_sitter_python_external_scanner_serialize(void *payload, char *buffer) {
     Scanner *scanner = (Scanner *)payload;
 
-    size_t size = 0;
+    unsigned size = 0;
 
-    buffer[size++] = (char)scanner->inside_f_string;
+    buffer[size++] = (char)scanner->prefix.flags;
+    buffer[size++] = (char)scanner->inconsistent_indent;
 
-    size_t delimiter_count = scanner->delimiters.size;
-    if (delimiter_count > UINT8_MAX) {
-        delimiter_count = UINT8_MAX;
+    // The runs of delimiters that fit in the buffer are measured first, as
+    // their size comes before them. The innermost strings are dropped from a
+    // state that is too deep.
+    uint32_t delimiter_count = 0;
+    unsigned delimiters_size = 0;
+    while (delimiter_count < scanner->delimiters.size) {
+        uint32_t length = delimiter_run_length(scanner, delimiter_count);
+        unsigned run_size = length == 1 ? 1 : 2 + number_size(length - 2);
+        if (size + MAX_NUMBER_SIZE + delimiters_size + run_size > TREE_SITTER_SERIALIZATION_BUFFER_SIZE) {
+            break;
+        }
+        delimiter_count += length;
+        delimiters_size += run_size;
     }
-    buffer[size++] = (char)delimiter_count;
-
-    if (delimiter_count > 0) {
-        memcpy(&buffer[size], scanner->delimiters.contents, delimiter_count);
+    size = write_number(buffer, size, delimiters_size);
+    for (uint32_t i = 0; i < delimiter_count;) {
+        Delimiter delimiter = *array_get(&scanner->delimiters, i);
+        uint32_t length = delimiter_run_length(scanner, i);
+        buffer[size++] = (char)delimiter.flags;
+        if (length > 1) {
+            buffer[size++] = (char)delimiter.flags;
+            size = write_number(buffer, size, length - 2);
+        }
+        i += length;
     }
-    size += delimiter_count;
 
-    uint32_t iter = 1;
-    for (; iter < scanner->indents.size && size < TREE_SITTER_SERIALIZATION_BUFFER_SIZE; ++iter) {
-        uint16_t indent_value = *array_get(&scanner->indents, iter);
-        buffer[size++] = (char)(indent_value & 0xFF);
-        buffer[size++] = (char)((indent_value >> 8) & 0xFF);
+    for (uint32_t i = 1; i < scanner->indents.size && size + MAX_NUMBER_SIZE * 3 <= TREE_SITTER_SERIALIZATION_BUFFER_SIZE;) {
+        Indent *previous = array_get(&scanner->indents, i - 1);
+        Indent *indent = array_get(&scanner->indents, i);
+        uint16_t difference = (uint16_t)(indent->length - previous->length);
+        int32_t alt_difference = (int32_t)indent->alt_length - (int32_t)previous->alt_length;
+        uint32_t length = 0;
+        for (; i < scanner->indents.size; i++, length++) {
+            previous = array_get(&scanner->indents, i - 1);
+            indent = array_get(&scanner->indents, i);
+            if ((uint16_t)(indent->length - previous->length) != difference ||
+                (int32_t)indent->alt_length - (int32_t)previous->alt_length != alt_difference) {
+                break;
+            }
+        }
+        bool has_run = length > 1;
+        bool has_alt_difference = alt_difference != (int32_t)difference;
+        size = write_number(buffer, size, (uint32_t)difference << 2 | (uint32_t)has_run << 1 | has_alt_difference);
+        if (has_run) {
+            size = write_number(buffer, size, length - 2);
+        }
+        if (has_alt_difference) {
+            size = write_number(buffer, size, encode_difference(alt_difference));
+        }
     }
 
     return size;
@@ -393,24 +657,43 @@ void tree_sitter_python_external_scanner_deserialize(void *payload, const char *
 
     array_delete(&scanner->delimiters);
     array_delete(&scanner->indents);
-    array_push(&scanner->indents, 0);
+    array_push(&scanner->indents, ((Indent){0, 0}));
+    scanner->prefix = new_delimiter();
+    scanner->inconsistent_indent = false;
 
     if (length > 0) {
-        size_t size = 0;
-
-        scanner->inside_f_string = (bool)buffer[size++];
-
-        size_t delimiter_count = (uint8_t)buffer[size++];
-        if (delimiter_count > 0) {
-            array_reserve(&scanner->delimiters, delimiter_count);
-            scanner->delimiters.size = delimiter_count;
-            memcpy(scanner->delimiters.contents, &buffer[size], delimiter_count);
-            size += delimiter_count;
+        unsigned size = 0;
+
+        scanner->prefix.flags = (uint8_t)buffer[size++];
+        scanner->inconsistent_indent = (bool)buffer[size++];
+
+        uint32_t delimiters_size = read_number(buffer, length, &size);
+        unsigned delimiters_end = size + delimiters_size;
+        while (size < delimiters_end && size < length) {
+            Delimiter delimiter = {(uint8_t)buffer[size++]};
+            uint32_t run_length = 1;
+            if (size < delimiters_end && (uint8_t)buffer[size] == delimiter.flags) {
+                size++;
+                run_length = read_number(buffer, length, &size) + 2;
+            }
+            for (; run_length > 0; run_length--) {
+                array_push(&scanner->delimiters, delimiter);
+            }
         }
 
-        for (; size + 1 < length; size += 2) {
-            uint16_t indent_value = (unsigned char)buffer[size] | ((unsigned char)buffer[size + 1] << 8);
-            array_push(&scanner->indents, indent_value);
+        while (size < length) {
+            uint32_t header = read_number(buffer, length, &size);
+            uint16_t difference = (uint16_t)(header >> 2);
+            uint32_t run_length = header & 2 ? read_number(buffer, length, &size) + 2 : 1;
+            int32_t alt_difference = header & 1 ? decode_difference(read_number(buffer, length, &size)) : difference;
+            for (; run_length > 0; run_length--) {
+                Indent previous = *array_back(&scanner->indents);
+                Indent indent = {
+                    (uint16_t)(previous.length + difference),
+                    (uint16_t)(previous.alt_length + alt_difference),
+                };
+                array_push(&scanner->indents, indent);
+            }
         }
     }
 }
@@ -0,0 +1,25 @@
+from typing import (
+# <- fold
+    Any,
+    Dict,
+)
+
+@decorator
+# <- fold
+def function(first, second):
+#           ^ fold
+    """
+    # <- fold
+    Documentation.
+    """
+    return {
+    #      ^ fold
+        "first": first,
+        "second": second,
+    }
+
+match command:
+# <- fold
+    case "quit":
+        quit_game()
+        # <- fold
@@ -2,3 +2,38 @@ def g(h, i, /, j, *, k=100, **kwarg):
     #       ^ operator
     #             ^ operator
     pass
+
+def greet(name, greeting="hello", *names, **options):
+    #     ^ variable.parameter
+    #           ^ variable.parameter
+    #                              ^ variable.parameter
+    #                                       ^ variable.parameter
+    message = greeting + name
+    #         ^ variable.parameter
+    #                    ^ variable.parameter
+    return [message for name in names if options]
+    #                   ^ variable
+    #                           ^ variable.parameter
+    #                                    ^ variable.parameter
+
+def typed(count: int, label: str = "x"):
+    #     ^ variable.parameter
+    #                 ^ variable.parameter
+    return count * label
+    #      ^ variable.parameter
+    #              ^ variable.parameter
+
+scale = lambda factor: factor * 2
+#              ^ variable.parameter
+#                      ^ variable.parameter
+
+factor
+# <- variable
+
+def rename(self, name):
+    self.name = name
+    #    ^ property
+    #           ^ variable.parameter
+    update(name=name)
+    #      ^ variable
+    #           ^ variable.parameter
@@ -0,0 +1,21 @@
+class Greeter:
+# <- indent.begin
+    def greet(self, name):
+    # <- indent.begin
+    #        ^ indent.begin
+        if name:
+        # <- indent.begin
+            return f"Hello, {name}"
+            # <- indent.dedent
+        else:
+        # <- indent.branch
+            pass
+            # <- indent.dedent
+
+values = [
+#        ^ indent.begin
+    1,
+    2,
+]
+# <- indent.branch
+# <- indent.end
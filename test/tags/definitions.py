@@ -0,0 +1,37 @@
+"""Module documentation."""
+
+import os
+#      ^ reference.module
+import numpy as np
+#      ^ reference.module
+#               ^ definition.module
+from collections import abc
+#    ^ reference.module
+from .models import Model
+#      ^ reference.module
+
+TIMEOUT: int = 30
+# <- definition.constant
+
+class Shape(abc.ABC, Model):
+#     ^ definition.class
+#               ^ reference.class
+#                    ^ reference.class
+    """A shape."""
+
+    def area(self):
+        #  ^ definition.method
+        """Return the area."""
+        return 0
+
+    @property
+    def name(self):
+        #  ^ definition.method
+        return "shape"
+
+def describe(shape):
+    #  ^ definition.function
+    match shape:
+        case Shape():
+            #  ^ reference.class
+            return shape.name
@@ -1,7 +1,7 @@
 class MyClass:
   #    ^ definition.class
   def hello():
-    #  ^ definition.function
+    #  ^ definition.method
     print "hello from MyClass"
 
 MyClass.hello()
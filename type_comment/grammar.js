@@ -0,0 +1,79 @@
+/**
+ * @file Grammar for PEP 484 type comments, parsed as injections of the Python grammar
+ * @author Max Brunsfeld <maxbrunsfeld@gmail.com>
+ * @license MIT
+ * @see {@link https://peps.python.org/pep-0484/#type-comments|Type comments}
+ */
+
+
+/// <reference types="tree-sitter-cli/dsl" />
+// @ts-check
+
+const Python = require('../grammar');
+
+// Statements can't appear in a type comment, so the conflicts that involve
+// them can't arise.
+const STATEMENTS = ['print_statement', 'type_alias_statement', 'match_statement', 'with_item'];
+
+module.exports = grammar(Python, {
+  name: 'python_type_comment',
+
+  conflicts: ($, original) => original.filter(
+    (conflict) => !conflict.some((rule) => STATEMENTS.includes(rule.name)),
+  ),
+
+  rules: {
+    // The whole text is a single comment, as injected by
+    // queries/injections.scm.
+    module: $ => $.type_comment,
+
+    type_comment: $ => seq(
+      alias($._type_comment_start, '# type:'),
+      choice(
+        $.type_ignore,
+        $.function_signature,
+        seq(commaSep1(field('type', $.type)), optional(',')),
+      ),
+    ),
+
+    // Takes precedence over the comment token, which matches the same text.
+    _type_comment_start: _ => token(prec(1, /#[ \t]*type[ \t]*:/)),
+
+    type_ignore: $ => seq(
+      'ignore',
+      optional(seq(
+        '[',
+        commaSep1(field('code', $.error_code)),
+        optional(','),
+        ']',
+      )),
+    ),
+
+    error_code: _ => /[\w-]+/,
+
+    // Like mypy, an annotation that starts with a parenthesis is read as a
+    // function signature rather than as a parenthesized type.
+    function_signature: $ => seq(
+      field('parameters', $.parameter_types),
+      '->',
+      field('return_type', $.type),
+    ),
+
+    parameter_types: $ => seq(
+      alias(token(prec(1, '(')), '('),
+      optional(seq(commaSep1($.type), optional(','))),
+      ')',
+    ),
+  },
+});
+
+/**
+ * Creates a rule to match one or more of the rules separated by a comma
+ *
+ * @param {RuleOrLiteral} rule
+ *
+ * @returns {SeqRule}
+ */
+function commaSep1(rule) {
+  return seq(rule, repeat(seq(',', rule)));
+}
@@ -0,0 +1,9 @@
+// The type comment grammar shares the external scanner of the Python grammar.
+
+#define tree_sitter_python_external_scanner_create tree_sitter_python_type_comment_external_scanner_create
+#define tree_sitter_python_external_scanner_destroy tree_sitter_python_type_comment_external_scanner_destroy
+#define tree_sitter_python_external_scanner_scan tree_sitter_python_type_comment_external_scanner_scan
+#define tree_sitter_python_external_scanner_serialize tree_sitter_python_type_comment_external_scanner_serialize
+#define tree_sitter_python_external_scanner_deserialize tree_sitter_python_type_comment_external_scanner_deserialize
+
+#include "../../src/scanner.c"